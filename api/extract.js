@@ -1,5 +1,8 @@
-import Busboy from 'busboy';
-import OpenAI from 'openai';
+import { cachedExtractNotes } from '../lib/cache.js';
+import { checkAccess, checkRateLimit, httpError, sendError } from '../lib/guard.js';
+import { getProvider } from '../lib/providers/index.js';
+import { AUTO_TEMPLATE, resolveTemplates } from '../lib/templates.js';
+import { parseUploads, sniffImageType, uploadLimits } from '../lib/uploads.js';
 
 export const config = {
   api: {
@@ -7,116 +10,46 @@ export const config = {
   },
 };
 
-const systemPrompt = `
-Je krijgt een gescande pagina. Zoek alle secties die starten met de grote titel "Delivery note".
-Voor elke delivery note:
-- Vind "Quantity" en "Unit" en pak de waarden uit de kolommen/rijen eronder.
-- Datum: als aanwezig, geef DD-MM-YYYY (convert als nodig).
-- Unit moet matchen ^[A-Z][0-9]{2}$. Bij twijfel: leeg laten en warning zetten.
-- Aantal mag komma decimalen bevatten (12,5).
-Output: een array delivery notes met datum, aantal (raw string), unit (letter+2 digits), optioneel confidence en warnings.
-Als er geen delivery notes zijn: notes = [].
-`;
-
-const schema = {
-  type: 'object',
-  additionalProperties: false,
-  required: ['notes'],
-  properties: {
-    notes: {
-      type: 'array',
-      items: {
-        type: 'object',
-        additionalProperties: false,
-        required: ['datum', 'aantal', 'unit'],
-        properties: {
-          datum: { type: 'string' },
-          aantal: { type: 'string' },
-          unit: { type: 'string' },
-          confidence: { type: 'number' },
-          warnings: {
-            type: 'array',
-            items: { type: 'string' },
-          },
-        },
-      },
-    },
-  },
-};
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
-  }
 
   try {
-    const { imageBuffer, meta } = await parseMultipart(req);
-    if (!imageBuffer) {
-      return res.status(400).json({ error: 'Image is required' });
-    }
-
-    const openai = new OpenAI({ apiKey });
-    const base64 = imageBuffer.toString('base64');
-    const response = await openai.responses.create({
-      model: 'gpt-4.1',
-      input: [
-        { role: 'system', content: systemPrompt.trim() },
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: 'Extract delivery notes from this page and return strict JSON.' },
-            { type: 'image_url', image_url: { url: `data:image/png;base64,${base64}` } },
-          ],
-        },
-      ],
-      output: {
-        type: 'json_schema',
-        json_schema: {
-          name: 'delivery_notes',
-          schema,
-          strict: true,
-        },
-      },
-    });
-
-    const parsed = response.output?.[0]?.parsed || response.output_parsed || {};
-    const notes = parsed.notes || [];
-    return res.status(200).json({ notes, meta });
+    checkAccess(req);
+    checkRateLimit(req, 'extract');
+    const provider = getProvider();
+    const { image, meta, force, template } = await parseImageUpload(req);
+    const { notes, cached } = await cachedExtractNotes(
+      { image: image.buffer, mimeType: image.mimeType, meta, template },
+      provider,
+      { force },
+    );
+    res.setHeader('X-Extract-Cache', cached ? 'hit' : 'miss');
+    return res.status(200).json({ notes, meta, cached });
   } catch (err) {
     console.error(err);
-    const message = err?.response?.data || err.message || 'Unknown error';
-    return res.status(500).json({ error: message });
+    return sendError(res, err);
   }
 }
 
-function parseMultipart(req) {
-  return new Promise((resolve, reject) => {
-    const busboy = Busboy({ headers: req.headers });
-    const chunks = [];
-    let meta = {};
-
-    busboy.on('file', (_fieldname, file) => {
-      file.on('data', (data) => chunks.push(data));
-    });
-    busboy.on('field', (name, val) => {
-      if (name === 'meta') {
-        try {
-          meta = JSON.parse(val);
-        } catch {
-          meta = {};
-        }
-      }
-    });
-    busboy.on('error', (err) => reject(err));
-    busboy.on('finish', () => {
-      const imageBuffer = chunks.length ? Buffer.concat(chunks) : null;
-      resolve({ imageBuffer, meta });
-    });
-    req.pipe(busboy);
-  });
+async function parseImageUpload(req) {
+  const { files, fields } = await parseUploads(req, uploadLimits.image);
+  const file = files[0];
+  if (!file || !file.buffer.length) throw httpError('Image is required', 400);
+  const mimeType = sniffImageType(file.buffer);
+  if (!mimeType) throw httpError(`${file.fileName} is not a PNG, JPEG or WebP image`, 415);
+
+  let meta = {};
+  if (fields.meta) {
+    try {
+      meta = JSON.parse(fields.meta);
+    } catch {
+      meta = {};
+    }
+  }
+  const template = fields.template || AUTO_TEMPLATE;
+  resolveTemplates(template);
+  return { image: { ...file, mimeType }, meta, force: fields.force === '1', template };
 }
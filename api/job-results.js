@@ -0,0 +1,25 @@
+import { checkAccess, sendError } from '../lib/guard.js';
+import { getJobStore } from '../lib/jobs/store.js';
+import { jobResults } from '../lib/jobs/runner.js';
+
+// GET ?id=&since= returns extracted notes for pages completed after sequence number `since`.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  const id = req.query?.id;
+  if (!id) return res.status(400).json({ error: 'Job id is required' });
+
+  try {
+    checkAccess(req);
+    const store = getJobStore();
+    const job = await store.get(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const since = Number(req.query.since) || 0;
+    return res.status(200).json(await jobResults(store, job, since));
+  } catch (err) {
+    console.error(err);
+    return sendError(res, err);
+  }
+}
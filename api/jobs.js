@@ -0,0 +1,109 @@
+import { waitUntil } from '@vercel/functions';
+import { authHeaders, checkAccess, checkRateLimit, httpError, sendError } from '../lib/guard.js';
+import { getJobStore } from '../lib/jobs/store.js';
+import { appendJobFiles, createJob, jobSummary, needsWorker, runJob } from '../lib/jobs/runner.js';
+import { AUTO_TEMPLATE, resolveTemplates } from '../lib/templates.js';
+import { isPdf, parseUploads, uploadLimits } from '../lib/uploads.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// POST (multipart, one or more `file` PDFs plus an optional `templates` JSON array of template
+// ids in the same order) creates a job. A `total` field larger than the number of files makes
+// it wait for the rest: each POST ?id= with a multipart body adds the next file(s), and the job
+// starts once all have arrived. POST ?id= without a body continues a job.
+// GET ?id= returns job status; results are served by /api/job-results.
+export default async function handler(req, res) {
+  const id = req.query?.id;
+  try {
+    checkAccess(req);
+    const store = getJobStore();
+    if (req.method === 'GET') {
+      if (!id) return res.status(400).json({ error: 'Job id is required' });
+      const job = await store.get(id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      if (needsWorker(job)) scheduleRun(req, store, id);
+      return res.status(200).json(jobSummary(job));
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (id && !isMultipart(req)) {
+      const job = await store.get(id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      scheduleRun(req, store, id);
+      return res.status(202).json(jobSummary(job));
+    }
+
+    checkRateLimit(req, id ? 'job-files' : 'jobs', Number(process.env.JOBS_RATE_LIMIT_PER_MINUTE) || (id ? 60 : 10));
+    const { files, fields } = await parseUploads(req, uploadLimits.pdf);
+    if (!files.length) {
+      return res.status(400).json({ error: 'At least one PDF file is required' });
+    }
+    const invalid = files.find((file) => !isPdf(file.buffer));
+    if (invalid) {
+      return res.status(415).json({ error: `${invalid.fileName} is not a PDF` });
+    }
+    const templateIds = parseTemplateIds(fields.templates, files.length);
+    const uploads = files.map((file, i) => ({ ...file, template: templateIds[i] }));
+    const expectedFiles = Math.max(files.length, Math.min(Number(fields.total) || 0, uploadLimits.jobFiles));
+    let job;
+    try {
+      job = id ? await appendJobFiles(store, id, uploads) : await createJob(store, uploads, { expectedFiles });
+    } catch (err) {
+      if (err.statusCode) throw err;
+      console.error(err);
+      return res.status(400).json({ error: `Could not read PDF: ${err.message}` });
+    }
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (needsWorker(job)) scheduleRun(req, store, job.id);
+    return res.status(202).json(jobSummary(job));
+  } catch (err) {
+    console.error(err);
+    return sendError(res, err);
+  }
+}
+
+function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+function parseTemplateIds(value, count) {
+  let ids = [];
+  if (value) {
+    try {
+      ids = JSON.parse(value);
+    } catch {
+      ids = null;
+    }
+    if (!Array.isArray(ids)) throw httpError('templates must be a JSON array of template ids', 400);
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const id = ids[i] || AUTO_TEMPLATE;
+    resolveTemplates(id);
+    return id;
+  });
+}
+
+// Runs the job after the response is sent; when the time budget runs out the job is handed
+// to a fresh invocation so batches larger than one function's maxDuration keep going.
+function scheduleRun(req, store, id) {
+  const work = runJob(store, id)
+    .then(({ claimed, remaining }) => {
+      if (claimed && remaining) return continueJob(req, id);
+      return undefined;
+    })
+    .catch((err) => console.error(`Job ${id} worker failed`, err));
+  waitUntil(work);
+}
+
+function continueJob(req, id) {
+  const proto = req.headers['x-forwarded-proto'] || 'http';
+  const url = `${proto}://${req.headers.host}/api/jobs?id=${encodeURIComponent(id)}`;
+  return fetch(url, { method: 'POST', headers: authHeaders() }).catch((err) => console.error(`Could not continue job ${id}`, err));
+}
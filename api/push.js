@@ -0,0 +1,79 @@
+import { randomUUID } from 'node:crypto';
+import { checkAccess, checkRateLimit, httpError, sendError } from '../lib/guard.js';
+import { deliverWebhook } from '../lib/webhook.js';
+
+const MAX_ROWS = Number(process.env.PUSH_MAX_ROWS) || 500;
+
+// POST { deliveryId?, batch: { id, name }, part?, parts?, rows: [...] } forwards a finished batch
+// to PUSH_WEBHOOK_URL, signed with PUSH_WEBHOOK_SECRET (see lib/webhook.js for the headers).
+// Responds 200 when the receiver accepted it and 502 with the attempt log when it didn't.
+// Vercel caps request bodies at 4.5 MB, so large batches are sent in parts of at most
+// PUSH_MAX_ROWS rows (default 500; more is refused with 413). Each part is its own webhook delivery
+// with id "<deliveryId>-<part>" and carries `part`/`parts` so the receiver can put the batch together.
+// The endpoint signs whatever rows it is given, so it only runs when EXTRACT_ACCESS_TOKEN is set
+// and the caller presents it; otherwise anyone with the URL could push signed data into the ERP.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!process.env.EXTRACT_ACCESS_TOKEN) {
+      throw httpError('Push is disabled until an access token is configured (set EXTRACT_ACCESS_TOKEN)', 501);
+    }
+    checkAccess(req);
+    checkRateLimit(req, 'push', Number(process.env.PUSH_RATE_LIMIT_PER_MINUTE) || 10);
+    const url = process.env.PUSH_WEBHOOK_URL;
+    const secret = process.env.PUSH_WEBHOOK_SECRET;
+    if (!url || !secret) throw httpError('Push is not configured (set PUSH_WEBHOOK_URL and PUSH_WEBHOOK_SECRET)', 501);
+
+    const { deliveryId, batch, part, parts, rows } = parseBody(req.body);
+    const payload = {
+      event: 'batch.completed',
+      deliveryId,
+      sentAt: new Date().toISOString(),
+      batch,
+      part,
+      parts,
+      rowCount: rows.length,
+      rows,
+    };
+    const partId = parts > 1 ? `${deliveryId}-${part}` : deliveryId;
+    const result = await deliverWebhook({ url, secret, deliveryId: partId, payload });
+    return res.status(result.delivered ? 200 : 502).json({ deliveryId, part, parts, ...result });
+  } catch (err) {
+    console.error(err);
+    return sendError(res, err);
+  }
+}
+
+function parseBody(body) {
+  let data = body;
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    try {
+      data = JSON.parse(data.toString());
+    } catch {
+      throw httpError('Body must be JSON', 400);
+    }
+  }
+  if (!data || typeof data !== 'object') throw httpError('Body must be JSON', 400);
+  if (!Array.isArray(data.rows)) throw httpError('rows must be an array', 400);
+  if (!data.batch || typeof data.batch.id !== 'string') throw httpError('batch.id is required', 400);
+  if (data.rows.length > MAX_ROWS) throw httpError(`Send at most ${MAX_ROWS} rows per request; split the batch into parts`, 413);
+  const parts = data.parts ?? 1;
+  const part = data.part ?? 1;
+  if (!Number.isInteger(parts) || !Number.isInteger(part) || part < 1 || part > parts) {
+    throw httpError('part must be a whole number from 1 to parts', 400);
+  }
+  const deliveryId = typeof data.deliveryId === 'string' && /^[\w-]{8,64}$/.test(data.deliveryId)
+    ? data.deliveryId
+    : randomUUID();
+  return {
+    deliveryId,
+    batch: { id: data.batch.id, name: String(data.batch.name || '') },
+    part,
+    parts,
+    rows: data.rows,
+  };
+}
@@ -0,0 +1,18 @@
+import { checkAccess, sendError } from '../lib/guard.js';
+import { AUTO_TEMPLATE, templates } from '../lib/templates.js';
+
+// GET lists the document templates a page can be extracted with (see lib/templates.js).
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    checkAccess(req);
+    return res.status(200).json({ default: AUTO_TEMPLATE, templates });
+  } catch (err) {
+    console.error(err);
+    return sendError(res, err);
+  }
+}
@@ -1,9 +1,48 @@
 // README:
 // - Install deps: npm install
 // - Start dev: vercel dev
-// - Set OPENAI_API_KEY in .env (used only by api/extract.js)
+// - Set OPENAI_API_KEY in .env (used only by api/extract.js; OPENAI_MODEL overrides gpt-4.1)
+// - Offline: EXTRACT_PROVIDER=fixture replays fixtures/extract/<sha256 of page image>.json
+//   (falls back to default.json); EXTRACT_RECORD_FIXTURES=1 records live responses there
+// - Tests: npm test (node:test, offline through the fixture provider)
+// - "Extract on server" uploads whole PDFs (one per request) to api/jobs.js, which rasterises and
+//   extracts them in the background. Deployed, jobs live in the S3 bucket JOBS_S3_BUCKET
+//   (JOBS_S3_PREFIX, JOBS_S3_ENDPOINT for S3-compatible services; AWS_* credentials); locally in
+//   JOBS_DIR (default: OS temp dir), or JOB_STORE=memory for single-process testing
+// - Set EXTRACT_ACCESS_TOKEN to require that token on every API call (enter it under Settings).
+//   Without it the API is open to anyone who can reach the deployment (logged as a warning);
+//   RATE_LIMIT_PER_MINUTE (default 60 page requests per IP), EXTRACT_MAX_IMAGE_BYTES and
+//   JOBS_MAX_PDF_BYTES (default 4 MB) bound what one client can send
+// - Results are cached by page image hash in the browser and on the server (EXTRACT_CACHE=file|memory|off,
+//   EXTRACT_CACHE_DIR); tick "Force re-extract" to bypass both
+// - Document templates (lib/templates.js, listed by api/templates.js) tell the model which titles and
+//   column labels to look for; pick one per upload or leave it on auto-detect
+// - "Push to ERP" posts the batch to api/push.js, which forwards it to PUSH_WEBHOOK_URL signed with
+//   PUSH_WEBHOOK_SECRET; it is refused unless EXTRACT_ACCESS_TOKEN is set too. Large batches go in
+//   parts of up to 200 rows (request bodies are capped at 4.5 MB on Vercel; PUSH_MAX_ROWS, default
+//   500, per request). Try it locally with npm run stub-receiver
+// - Results, uploaded files and rendered pages are kept per named batch in IndexedDB (cmr-extractor)
+// - Headless: npm run extract -- <folder of PDFs> (see --help); derivation rules live in
+//   lib/derive.js, shared with this file
 // - Deploy: vercel --prod
 
+import {
+  DEFAULT_RULES,
+  EXPORT_FIELDS,
+  HEADER_FIELDS,
+  cloneRules,
+  deriveFields,
+  formatCsvValue,
+  formatDatum,
+  isoToDate,
+  lineEntries,
+  noteLines,
+  toNumber,
+  validateRules
+} from './lib/derive.js';
+import { RECONCILE_STATUSES, normalizeOcr, parseOrdersCsv, reconcile, reconciliationLines } from './lib/reconcile.js';
+import { findContinuation, joinNotes, ownLines } from './lib/stitch.js';
+
 const pdfVersion = '4.3.136';
 const pdfSources = [
   `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfVersion}/pdf.min.js`,
@@ -13,51 +52,224 @@ const pdfSources = [
 ];
 let pdfAvailable = false;
 let pdfReadyPromise = ensurePdfJs();
+const xlsxSources = [
+  'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+  'https://unpkg.com/xlsx@0.18.5/dist/xlsx.full.min.js',
+];
+let xlsxReadyPromise = null;
+const utifSources = [
+  'https://cdn.jsdelivr.net/npm/utif@3.1.0/UTIF.min.js',
+  'https://unpkg.com/utif@3.1.0/UTIF.min.js',
+];
+let utifReadyPromise = null;
 
 const dropzone = document.getElementById('dropzone');
 const fileInput = document.getElementById('file-input');
 const extractBtn = document.getElementById('extract-btn');
+const retryFailedBtn = document.getElementById('retry-failed-btn');
+const pauseBtn = document.getElementById('pause-btn');
+const resumeBtn = document.getElementById('resume-btn');
+const cancelBtn = document.getElementById('cancel-btn');
+const resumeBanner = document.getElementById('resume-banner');
+const resumeText = document.getElementById('resume-text');
+const forceExtractInput = document.getElementById('force-extract-input');
+const templateSelect = document.getElementById('template-select');
+const serverExtractBtn = document.getElementById('server-extract-btn');
 const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportXlsxBtn = document.getElementById('export-xlsx-btn');
 const copyTsvBtn = document.getElementById('copy-tsv-btn');
+const exportAuditBtn = document.getElementById('export-audit-btn');
 const clearBtn = document.getElementById('clear-btn');
 const fileListEl = document.getElementById('file-list');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
+const tableHead = document.getElementById('table-head');
 const tableBody = document.getElementById('table-body');
+const resultsWrapper = document.getElementById('results-wrapper');
+const clearFiltersBtn = document.getElementById('clear-filters-btn');
+const columnsBtn = document.getElementById('columns-btn');
+const columnsMenu = document.getElementById('columns-menu');
 const searchInput = document.getElementById('search-input');
+const batchSelect = document.getElementById('batch-select');
+const batchNameInput = document.getElementById('batch-name-input');
+const newBatchBtn = document.getElementById('new-batch-btn');
+const renameBatchBtn = document.getElementById('rename-batch-btn');
+const historyBtn = document.getElementById('history-btn');
+const batchHistory = document.getElementById('batch-history');
+const pushBtn = document.getElementById('push-btn');
+const deliveryLog = document.getElementById('delivery-log');
+const autoPushInput = document.getElementById('auto-push-input');
+const dateFromInput = document.getElementById('date-from');
+const dateToInput = document.getElementById('date-to');
+const clearRangeBtn = document.getElementById('clear-range-btn');
+const summaryStats = document.getElementById('summary-stats');
+const summaryTables = document.getElementById('summary-tables');
+const summaryNote = document.getElementById('summary-note');
+const ordersInput = document.getElementById('orders-input');
+const loadOrdersBtn = document.getElementById('load-orders-btn');
+const exportReconcileBtn = document.getElementById('export-reconcile-btn');
+const clearOrdersBtn = document.getElementById('clear-orders-btn');
+const reconcileStats = document.getElementById('reconcile-stats');
+const reconcileTable = document.getElementById('reconcile-table');
+const editorInput = document.getElementById('editor-input');
 const issuesPanel = document.getElementById('issues-panel');
 const toast = document.getElementById('toast');
 const detailsModal = document.getElementById('details-modal');
 const closeModalBtn = document.getElementById('close-modal');
+const settingsBtn = document.getElementById('settings-btn');
+const settingsModal = document.getElementById('settings-modal');
+const closeSettingsBtn = document.getElementById('close-settings');
+const rulesInput = document.getElementById('rules-input');
+const rulesErrors = document.getElementById('rules-errors');
+const saveRulesBtn = document.getElementById('save-rules-btn');
+const resetRulesBtn = document.getElementById('reset-rules-btn');
+const preprocessForm = document.getElementById('preprocess-form');
+const savePreprocessBtn = document.getElementById('save-preprocess-btn');
+const preprocessErrors = document.getElementById('preprocess-errors');
+const accessTokenInput = document.getElementById('access-token-input');
+const saveTokenBtn = document.getElementById('save-token-btn');
 const detailsGrid = document.getElementById('details-grid');
+const reviewBar = document.getElementById('review-bar');
+const reviewBtn = document.getElementById('review-btn');
+const verifiedOnlyInput = document.getElementById('verified-only-input');
+const exportLayoutSelect = document.getElementById('export-layout-select');
+const showLinesInput = document.getElementById('show-lines-input');
+const mergeModal = document.getElementById('merge-modal');
+const mergeBody = document.getElementById('merge-body');
+const closeMergeBtn = document.getElementById('close-merge');
+const pagePreview = document.getElementById('page-preview');
 
 const STORAGE_KEY = 'cmr-notes';
+const CURRENT_BATCH_KEY = 'cmr-current-batch';
+const DB_NAME = 'cmr-extractor';
+const DB_VERSION = 2;
+let dbPromise = null;
+let batchDirty = false;
+let batchSaving = null;
+const EDITOR_KEY = 'cmr-editor';
+const EDITABLE_FIELDS = ['datum', 'aantal', 'unit', ...HEADER_FIELDS.map((f) => f.key)];
+const LINE_FIELDS = ['aantal', 'unit', 'hoogte_enkel', 'hoogte_stack', 'aantal2', 'pallet'];
+const LINE_FIELD_PATH = /^lines\.(\d+)\.(aantal|unit)$/;
+const COLUMNS = [
+  { key: 'datum', label: 'datum', editable: true },
+  { key: 'aantal', label: 'aantal', editable: true, highlight: 'aantal' },
+  { key: 'unit', label: 'unit', editable: true, highlight: 'unit' },
+  { key: 'hoogte_enkel', label: 'hoogte_enkel', highlight: 'hoogte' },
+  { key: 'hoogte_stack', label: 'hoogte_stack', highlight: 'stack' },
+  { key: 'aantal2', label: 'aantal2', highlight: 'aantal2' },
+  { key: 'pallet', label: 'pallet' },
+  ...HEADER_FIELDS.map((f) => ({ key: f.key, label: f.key, editable: true, highlight: f.key, optional: true })),
+  { key: 'confidence', label: 'confidence' },
+  { key: 'review', label: 'review' },
+  { key: 'template', label: 'template' },
+  { key: 'issues', label: 'issues' }
+];
+const NUMERIC_COLUMNS = ['aantal', 'hoogte_enkel', 'hoogte_stack', 'aantal2', 'confidence'];
+const ROW_HEIGHT = 44;
+const OVERSCAN_ROWS = 15;
+const SEARCH_DELAY_MS = 150;
+const ISSUES_PANEL_LIMIT = 200;
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+const DEFAULT_VISIBLE_COLUMNS = ['datum', 'aantal', 'unit', 'hoogte_enkel', 'hoogte_stack', 'aantal2', 'pallet', 'note_number', 'confidence', 'review', 'issues'];
+const COLUMNS_KEY = 'cmr-columns';
+const RULES_KEY = 'cmr-rules';
+const ACCESS_TOKEN_KEY = 'cmr-access-token';
+const SERVER_JOBS_KEY = 'cmr-server-jobs';
+const TEMPLATE_KEY = 'cmr-template';
+const AUTO_PUSH_KEY = 'cmr-auto-push';
+const EXPORT_LAYOUT_KEY = 'cmr-export-layout';
+const SHOW_LINES_KEY = 'cmr-show-lines';
+const DELIVERY_LOG_SIZE = 20;
+// Pushes go out in parts well below api/push.js's PUSH_MAX_ROWS and the platform's 4.5 MB body limit.
+const PUSH_PART_ROWS = 200;
+const PUSH_PART_BYTES = 1024 * 1024;
+const AUTO_TEMPLATE = 'auto';
+const JOB_POLL_MS = 3000;
+const PREPROCESS_KEY = 'cmr-preprocess';
+const DEFAULT_PREPROCESS = {
+  scale: 2.5,
+  grayscale: true,
+  contrast: true,
+  deskew: true,
+  rotate: true,
+  cropMargins: true,
+  format: 'image/jpeg',
+  targetKB: 1500
+};
+const IMAGE_FORMATS = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_IMAGE_SIDE = 3500;
+const ANALYSIS_SIZE = 800;
+const SIDEWAYS_RATIO = 1.5;
+const MAX_SKEW_DEGREES = 5;
+const SKEW_STEP_DEGREES = 0.25;
+const MIN_DESKEW_DEGREES = 0.3;
+const MARGIN_NOISE = 0.003;
+const MARGIN_PADDING = 0.015;
+const ENCODE_QUALITIES = [0.92, 0.85, 0.75, 0.6];
+const DOWNSCALE_STEP = 0.8;
+const MAX_DOWNSCALES = 4;
 const state = {
   files: [],
+  fileTemplates: [],
+  templates: [],
+  tasks: [],
+  sources: new Map(),
+  remoteFiles: new Set(),
+  reconciliation: [],
+  serverJobs: [],
+  batch: null,
+  batches: [],
   rows: [],
+  orders: null,
+  deliveries: [],
   dedupe: new Set(),
-  sortKey: 'datum',
-  sortDir: 'asc',
+  review: null,
+  sort: [{ key: 'datum', dir: 'asc' }],
   filterTerm: '',
+  dateFrom: '',
+  dateTo: '',
+  filters: { unit: '', pallet: '', warnings: '' },
+  tableItems: [],
+  tableHeadHtml: '',
+  rowHeight: ROW_HEIGHT,
   totalPages: 0,
   processedPages: 0,
   inProgress: false,
+  paused: false,
+  abortController: null,
+  cacheHits: 0,
   currentFileIndex: 0,
   currentPage: 0,
   currentPageTotal: 0,
-  filePageTotals: []
+  filePageTotals: [],
+  editor: '',
+  pageImages: new Map(),
+  rules: DEFAULT_RULES,
+  preprocess: DEFAULT_PREPROCESS,
+  visibleColumns: DEFAULT_VISIBLE_COLUMNS
 };
 
-function init() {
-  loadStoredRows();
+async function init() {
+  state.rules = loadRules();
+  state.preprocess = loadPreprocess();
+  state.visibleColumns = loadVisibleColumns();
+  state.editor = localStorage.getItem(EDITOR_KEY) || '';
+  autoPushInput.checked = localStorage.getItem(AUTO_PUSH_KEY) === '1';
+  exportLayoutSelect.value = localStorage.getItem(EXPORT_LAYOUT_KEY) === 'line' ? 'line' : 'note';
+  showLinesInput.checked = localStorage.getItem(SHOW_LINES_KEY) === '1';
+  editorInput.value = state.editor;
   bindEvents();
+  renderColumnsMenu();
   renderTable();
   renderIssuesPanel();
   renderFileList();
+  await initBatches();
+  resumeServerJobs();
+  loadTemplates();
   pdfReadyPromise.then((ok) => {
-    if (!ok) showToast('PDF renderer not loaded. Check your connection and refresh.');
+    if (!ok) showToast('PDF renderer not loaded — images still work. Check your connection and refresh for PDFs.');
   });
-  runDerivedFieldTests();
 }
 
 function bindEvents() {
@@ -74,80 +286,338 @@ function bindEvents() {
     handleFiles(e.dataTransfer.files);
   });
   fileInput.addEventListener('change', (e) => handleFiles(e.target.files));
+  templateSelect.addEventListener('change', (e) => localStorage.setItem(TEMPLATE_KEY, e.target.value));
+  fileListEl.addEventListener('change', (e) => {
+    const select = e.target.closest('select[data-file-template]');
+    if (!select) return;
+    state.fileTemplates[Number(select.dataset.fileTemplate)] = select.value;
+    saveRows();
+  });
   extractBtn.addEventListener('click', processQueue);
+  retryFailedBtn.addEventListener('click', retryFailedPages);
+  serverExtractBtn.addEventListener('click', startServerJob);
   exportCsvBtn.addEventListener('click', exportCsv);
+  exportXlsxBtn.addEventListener('click', exportXlsx);
   copyTsvBtn.addEventListener('click', copyTsv);
+  exportAuditBtn.addEventListener('click', exportAuditLog);
   clearBtn.addEventListener('click', clearAll);
-  searchInput.addEventListener('input', (e) => {
-    state.filterTerm = e.target.value.toLowerCase();
+  pauseBtn.addEventListener('click', pauseExtraction);
+  resumeBtn.addEventListener('click', resumeExtraction);
+  cancelBtn.addEventListener('click', cancelExtraction);
+  resumeBanner.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-resume-action]')?.dataset.resumeAction;
+    if (action === 'resume') resumeExtraction();
+    if (action === 'discard') discardUnfinished();
+  });
+  batchSelect.addEventListener('change', (e) => switchBatch(e.target.value));
+  newBatchBtn.addEventListener('click', startNewBatch);
+  renameBatchBtn.addEventListener('click', renameCurrentBatch);
+  historyBtn.addEventListener('click', () => {
+    batchHistory.classList.toggle('show');
+    renderBatchControls();
+  });
+  pushBtn.addEventListener('click', () => pushBatch());
+  deliveryLog.addEventListener('click', (e) => {
+    const id = e.target.closest('[data-redeliver]')?.dataset.redeliver;
+    if (id) pushBatch(id);
+  });
+  autoPushInput.addEventListener('change', (e) => localStorage.setItem(AUTO_PUSH_KEY, e.target.checked ? '1' : '0'));
+  exportLayoutSelect.addEventListener('change', (e) => localStorage.setItem(EXPORT_LAYOUT_KEY, e.target.value));
+  showLinesInput.addEventListener('change', (e) => {
+    localStorage.setItem(SHOW_LINES_KEY, e.target.checked ? '1' : '0');
     renderTable();
   });
-  document.querySelectorAll('#results-table th').forEach((th) => {
-    th.addEventListener('click', () => {
-      const key = th.dataset.key;
-      if (state.sortKey === key) {
-        state.sortDir = state.sortDir === 'asc' ? 'desc' : 'asc';
-      } else {
-        state.sortKey = key;
-        state.sortDir = 'asc';
-      }
-      renderTable();
+  batchHistory.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-batch-action]');
+    if (!button) return;
+    if (button.dataset.batchAction === 'open') switchBatch(button.dataset.batchId);
+    if (button.dataset.batchAction === 'delete') deleteBatch(button.dataset.batchId);
+  });
+  let searchTimer = null;
+  searchInput.addEventListener('input', (e) => {
+    state.filterTerm = e.target.value.trim().toLowerCase();
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderTable, SEARCH_DELAY_MS);
+  });
+  dateFromInput.addEventListener('change', (e) => setDateRange(e.target.value, state.dateTo));
+  dateToInput.addEventListener('change', (e) => setDateRange(state.dateFrom, e.target.value));
+  clearFiltersBtn.addEventListener('click', clearFilters);
+  let scrollFrame = 0;
+  resultsWrapper.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      // An open cell editor would be thrown away with its row; commit it first.
+      tableBody.querySelector('.cell-input')?.blur();
+      renderTableWindow();
     });
   });
+  loadOrdersBtn.addEventListener('click', () => ordersInput.click());
+  ordersInput.addEventListener('change', (e) => loadOrders(e.target.files[0]));
+  exportReconcileBtn.addEventListener('click', exportReconciliation);
+  clearOrdersBtn.addEventListener('click', clearOrders);
+  reconcileTable.addEventListener('click', (e) => {
+    const row = state.rows.find((r) => r.id === e.target.closest('tr[data-row-id]')?.dataset.rowId);
+    if (row) showDetails(row);
+  });
+  clearRangeBtn.addEventListener('click', () => setDateRange('', ''));
+  editorInput.addEventListener('change', (e) => {
+    state.editor = e.target.value.trim();
+    localStorage.setItem(EDITOR_KEY, state.editor);
+  });
+  tableHead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-key]');
+    if (!th) return;
+    sortBy(th.dataset.key, e.shiftKey);
+  });
+  tableHead.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-filter]');
+    if (!input) return;
+    const { filter } = input.dataset;
+    if (filter === 'dateFrom') setDateRange(input.value, state.dateTo);
+    else if (filter === 'dateTo') setDateRange(state.dateFrom, input.value);
+    else {
+      state.filters[filter] = input.value;
+      renderTable();
+    }
+  });
+  columnsBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    columnsMenu.classList.toggle('show');
+  });
+  columnsMenu.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-column]');
+    if (!input) return;
+    const visible = new Set(state.visibleColumns);
+    if (input.checked) visible.add(input.dataset.column);
+    else visible.delete(input.dataset.column);
+    state.visibleColumns = COLUMNS.map((c) => c.key).filter((key) => visible.has(key));
+    localStorage.setItem(COLUMNS_KEY, JSON.stringify(state.visibleColumns));
+    renderTable();
+  });
+  document.addEventListener('click', (e) => {
+    if (!columnsMenu.contains(e.target) && e.target !== columnsBtn) columnsMenu.classList.remove('show');
+  });
   tableBody.addEventListener('click', (e) => {
     const rowEl = e.target.closest('tr[data-row-id]');
     if (!rowEl) return;
     const id = rowEl.dataset.rowId;
     const row = state.rows.find((r) => r.id === id);
-    if (row) showDetails(row);
+    if (!row) return;
+    if (e.target.closest('[data-merge-group]')) {
+      showMergeDialog(row.duplicateGroup);
+      return;
+    }
+    const cell = e.target.closest('td[data-field]');
+    if (cell) {
+      startCellEdit(cell, row);
+      return;
+    }
+    showDetails(row);
   });
-  closeModalBtn.addEventListener('click', () => detailsModal.classList.remove('show'));
+  detailsGrid.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-field]');
+    if (!input) return;
+    const row = state.rows.find((r) => r.id === detailsGrid.dataset.rowId);
+    if (!row) return;
+    updateRowField(row, input.dataset.field, input.value);
+    showDetails(row);
+  });
+  closeModalBtn.addEventListener('click', closeDetails);
   detailsModal.addEventListener('click', (e) => {
-    if (e.target === detailsModal) detailsModal.classList.remove('show');
+    if (e.target === detailsModal) closeDetails();
+  });
+  reviewBtn.addEventListener('click', startReview);
+  reviewBar.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-review-action]');
+    if (button) reviewAction(button.dataset.reviewAction);
+  });
+  document.addEventListener('keydown', handleReviewKey);
+  settingsBtn.addEventListener('click', openSettings);
+  closeSettingsBtn.addEventListener('click', () => settingsModal.classList.remove('show'));
+  settingsModal.addEventListener('click', (e) => {
+    if (e.target === settingsModal) settingsModal.classList.remove('show');
+  });
+  saveRulesBtn.addEventListener('click', saveRulesFromSettings);
+  saveTokenBtn.addEventListener('click', saveAccessToken);
+  savePreprocessBtn.addEventListener('click', savePreprocessFromSettings);
+  closeMergeBtn.addEventListener('click', () => mergeModal.classList.remove('show'));
+  mergeModal.addEventListener('click', (e) => {
+    if (e.target === mergeModal) {
+      mergeModal.classList.remove('show');
+      return;
+    }
+    const button = e.target.closest('[data-merge-action]');
+    if (!button) return;
+    const groupId = mergeBody.dataset.groupId;
+    const action = button.dataset.mergeAction;
+    if (action === 'keep-one') keepOnlyRow(groupId, button.dataset.rowId);
+    if (action === 'keep-all') keepAllRows(groupId);
+    if (action === 'combine') combineRows(groupId);
+    mergeModal.classList.remove('show');
   });
+  resetRulesBtn.addEventListener('click', resetRules);
 }
 
 function handleFiles(fileList) {
-  const pdfs = Array.from(fileList).filter((f) => {
-    if (f.type === 'application/pdf') return true;
-    return f.name.toLowerCase().endsWith('.pdf');
-  });
-  if (!pdfs.length) {
-    showToast('Only PDF files are supported.');
+  const all = Array.from(fileList);
+  const accepted = all.filter((f) => fileKind(f));
+  if (!accepted.length) {
+    showToast('Only PDF, JPEG, PNG, WebP and TIFF files are supported.');
     return;
   }
-  state.files = [...state.files, ...pdfs];
-  extractBtn.disabled = false;
+  if (accepted.length < all.length) showToast(`Skipped ${all.length - accepted.length} unsupported file(s).`);
+  storeBatchFiles(accepted, state.files.length);
+  state.files = [...state.files, ...accepted];
+  state.fileTemplates = [...state.fileTemplates, ...accepted.map(() => templateSelect.value || AUTO_TEMPLATE)];
+  saveRows();
+  updateActionButtons();
   progressText.textContent = `${state.files.length} file(s) ready.`;
   renderFileList();
   fileInput.value = '';
 }
 
 async function processQueue() {
-  const ok = await pdfReadyPromise;
-  if (!ok) {
-    showToast('PDF renderer not loaded. Check your connection and refresh.');
-    return;
-  }
   if (!state.files.length || state.inProgress) return;
   state.inProgress = true;
   extractBtn.disabled = true;
-  progressFill.style.width = '0%';
-  state.totalPages = 0;
-  state.processedPages = 0;
-  state.filePageTotals = [];
+  progressText.textContent = 'Preparing pages...';
+  await queueNewFiles();
+  state.inProgress = false;
+  return runTasks();
+}
+
+async function retryFailedPages() {
+  if (state.inProgress) return;
+  state.tasks.forEach((task) => {
+    if (task.status !== 'failed') return;
+    task.status = 'pending';
+    task.error = '';
+  });
+  return runTasks();
+}
 
-  const tasks = [];
+async function queueNewFiles() {
   for (let i = 0; i < state.files.length; i++) {
-    const file = state.files[i];
-    const typedArray = new Uint8Array(await file.arrayBuffer());
-    const pdf = await pdfjsLib.getDocument({ data: typedArray }).promise;
-    state.totalPages += pdf.numPages;
-    state.filePageTotals[i] = pdf.numPages;
-    for (let pageIndex = 1; pageIndex <= pdf.numPages; pageIndex++) {
-      tasks.push(() => handlePage(pdf, { file, fileIndex: i, pageIndex, pageCount: pdf.numPages }));
+    if (!isUnqueued(i)) continue;
+    let source;
+    try {
+      source = await getSource(i);
+    } catch (err) {
+      console.error(err);
+      showToast(`Could not open ${state.files[i].name}: ${err.message}`);
+      continue;
+    }
+    state.filePageTotals[i] = source.pageCount;
+    for (let pageIndex = 1; pageIndex <= source.pageCount; pageIndex++) {
+      state.tasks.push({
+        id: `${i}-${pageIndex}`,
+        fileIndex: i,
+        fileName: state.files[i].name,
+        pageIndex,
+        pageCount: source.pageCount,
+        status: 'pending',
+        error: '',
+        attempts: 0
+      });
+    }
+  }
+  renderFileList();
+}
+
+function fileKind(file) {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === 'image/tiff' || /\.tiff?$/.test(name)) return 'tiff';
+  if (['image/jpeg', 'image/png', 'image/webp'].includes(file.type) || /\.(jpe?g|png|webp)$/.test(name)) return 'image';
+  return null;
+}
+
+// A source is `{ pageCount, renderPage(pageIndex, scale) => Promise<canvas> }`, opened once per
+// file; pages are 1-based like pdf.js. `scale` only applies to PDFs, scans and photos are used
+// at their own resolution (capped at MAX_IMAGE_SIDE).
+function getSource(fileIndex) {
+  if (!state.sources.has(fileIndex)) {
+    const file = state.files[fileIndex];
+    const openers = { pdf: openPdfSource, tiff: openTiffSource, image: openImageSource };
+    const load = openers[fileKind(file)](file);
+    load.catch(() => state.sources.delete(fileIndex));
+    state.sources.set(fileIndex, load);
+  }
+  return state.sources.get(fileIndex);
+}
+
+async function openPdfSource(file) {
+  if (!(await pdfReadyPromise)) throw new Error('PDF renderer not loaded. Check your connection and refresh.');
+  const buffer = await file.arrayBuffer();
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+  return {
+    pageCount: pdf.numPages,
+    async renderPage(pageIndex, scale) {
+      const page = await pdf.getPage(pageIndex);
+      const viewport = page.getViewport({ scale });
+      const canvas = createCanvas(viewport.width, viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      return canvas;
     }
+  };
+}
+
+async function openImageSource(file) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  return {
+    pageCount: 1,
+    async renderPage() {
+      const ratio = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+      const canvas = createCanvas(bitmap.width * ratio, bitmap.height * ratio);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return canvas;
+    }
+  };
+}
+
+async function openTiffSource(file) {
+  if (!(await ensureUtif())) throw new Error('TIFF decoder not loaded. Check your connection and refresh.');
+  const buffer = await file.arrayBuffer();
+  const pages = UTIF.decode(buffer).filter((ifd) => ifd.t256 && ifd.t257);
+  if (!pages.length) throw new Error('No images found in TIFF');
+  return {
+    pageCount: pages.length,
+    async renderPage(pageIndex) {
+      const ifd = pages[pageIndex - 1];
+      UTIF.decodeImage(buffer, ifd);
+      const pixels = new Uint8ClampedArray(UTIF.toRGBA8(ifd));
+      const full = createCanvas(ifd.width, ifd.height);
+      full.getContext('2d').putImageData(new ImageData(pixels, ifd.width, ifd.height), 0, 0);
+      ifd.data = null;
+      const ratio = Math.min(1, MAX_IMAGE_SIDE / Math.max(ifd.width, ifd.height));
+      if (ratio === 1) return full;
+      const canvas = createCanvas(ifd.width * ratio, ifd.height * ratio);
+      canvas.getContext('2d').drawImage(full, 0, 0, canvas.width, canvas.height);
+      return canvas;
+    }
+  };
+}
+
+function runTasks() {
+  const queue = state.tasks.filter((task) => task.status === 'pending');
+  if (!queue.length || state.inProgress) {
+    updateActionButtons();
+    return Promise.resolve();
   }
+  state.inProgress = true;
+  state.paused = false;
+  state.abortController = new AbortController();
+  const { signal } = state.abortController;
+  state.totalPages = queue.length;
+  state.processedPages = 0;
+  state.cacheHits = 0;
+  progressFill.style.width = '0%';
+  resumeBanner.classList.remove('show');
+  updateActionButtons();
 
   const concurrency = 2;
   let running = 0;
@@ -155,25 +625,57 @@ async function processQueue() {
 
   return new Promise((resolve) => {
     const runNext = () => {
-      if (cursor >= tasks.length && running === 0) {
+      const stopping = state.paused || signal.aborted;
+      if ((cursor >= queue.length || stopping) && running === 0) {
         state.inProgress = false;
-        progressText.textContent = 'Done processing.';
-        extractBtn.disabled = !state.files.length;
+        state.paused = false;
+        state.abortController = null;
+        const failed = state.tasks.filter((task) => task.status === 'failed').length;
+        const left = state.tasks.filter((task) => task.status === 'pending' || task.status === 'cancelled').length;
+        if (signal.aborted) progressText.textContent = `Cancelled — ${left} page(s) not processed.`;
+        else if (stopping) progressText.textContent = `Paused — ${left} page(s) left. Press Resume to continue.`;
+        else {
+          const cached = state.cacheHits ? ` ${state.cacheHits} page(s) came from the cache.` : '';
+          progressText.textContent = failed
+            ? `Done processing — ${failed} page(s) failed.${cached}`
+            : `Done processing.${cached}`;
+        }
+        if (failed) showToast(`${failed} page(s) failed. Use "Retry failed pages" to try again.`);
+        else if (!stopping && autoPushInput.checked) pushBatch();
+        saveRows();
+        renderFileList();
+        updateActionButtons();
         resolve();
         return;
       }
-      while (running < concurrency && cursor < tasks.length) {
-        const task = tasks[cursor];
+      while (!stopping && running < concurrency && cursor < queue.length) {
+        const task = queue[cursor];
         cursor += 1;
+        if (task.status !== 'pending') continue;
         running += 1;
-        task()
+        task.status = 'running';
+        task.attempts += 1;
+        renderFileList();
+        handlePage(task, signal)
+          .then(() => {
+            task.status = 'done';
+            task.error = '';
+          })
           .catch((err) => {
+            if (signal.aborted) {
+              task.status = 'cancelled';
+              task.error = '';
+              return;
+            }
             console.error(err);
-            showToast('Failed processing a page. You can retry.');
+            task.status = 'failed';
+            task.error = err.message || 'Unknown error';
           })
           .finally(() => {
             running -= 1;
-            state.processedPages += 1;
+            if (task.status !== 'cancelled') state.processedPages += 1;
+            saveRows();
+            renderFileList();
             updateProgress();
             runNext();
           });
@@ -184,331 +686,2392 @@ async function processQueue() {
   });
 }
 
-async function handlePage(pdf, meta) {
-  state.currentFileIndex = meta.fileIndex + 1;
-  state.currentPage = meta.pageIndex;
-  state.currentPageTotal = meta.pageCount;
-  updateProgress();
-  const blob = await renderPageToBlob(pdf, meta.pageIndex);
-  const payloadMeta = {
-    fileName: meta.file.name,
-    fileIndex: meta.fileIndex,
-    pageIndex: meta.pageIndex
-  };
-  const notes = await callExtractApi(blob, payloadMeta);
-  if (Array.isArray(notes)) {
-    addNotes(notes, payloadMeta);
-  }
+// Pause lets the pages in flight finish; cancel aborts them too. Either way the untouched
+// pages stay in the batch's task list, so Resume (also after a reload) picks up from there.
+function pauseExtraction() {
+  if (!state.inProgress) return;
+  state.paused = true;
+  progressText.textContent = 'Pausing after the current page(s)...';
+  updateActionButtons();
 }
 
-async function renderPageToBlob(pdf, pageNumber) {
-  const page = await pdf.getPage(pageNumber);
-  const viewport = page.getViewport({ scale: 2.5 });
-  const canvas = document.createElement('canvas');
-  const context = canvas.getContext('2d');
-  canvas.width = viewport.width;
-  canvas.height = viewport.height;
-  await page.render({ canvasContext: context, viewport }).promise;
-  return new Promise((resolve) => {
-    canvas.toBlob((blob) => resolve(blob), 'image/png');
+function cancelExtraction() {
+  if (!state.abortController) return;
+  state.tasks.forEach((task) => {
+    if (task.status === 'pending') task.status = 'cancelled';
   });
+  state.abortController.abort();
+  progressText.textContent = 'Cancelling...';
+  updateActionButtons();
+}
+
+function resumeExtraction() {
+  state.tasks.forEach((task) => {
+    if (task.status === 'cancelled') task.status = 'pending';
+  });
+  return runTasks();
+}
+
+function discardUnfinished() {
+  state.tasks.forEach((task) => {
+    if (task.status === 'pending') task.status = 'cancelled';
+  });
+  resumeBanner.classList.remove('show');
+  saveRows();
+  renderFileList();
+  updateActionButtons();
 }
 
-async function callExtractApi(imageBlob, meta) {
+function offerResume() {
+  const left = state.tasks.filter((task) => task.status === 'pending').length;
+  if (!left) {
+    resumeBanner.classList.remove('show');
+    return;
+  }
+  const files = new Set(state.tasks.filter((task) => task.status === 'pending').map((task) => task.fileIndex)).size;
+  resumeText.textContent = `Extraction stopped before finishing: ${left} page(s) in ${files} file(s) are still waiting.`;
+  resumeBanner.classList.add('show');
+}
+
+function isUnqueued(fileIndex) {
+  return !state.remoteFiles.has(fileIndex) && !state.tasks.some((task) => task.fileIndex === fileIndex);
+}
+
+function updateActionButtons() {
+  const hasUnqueued = state.files.some((_, i) => isUnqueued(i));
+  const hasFailed = state.tasks.some((task) => task.status === 'failed');
+  const hasLeft = state.tasks.some((task) => task.status === 'pending' || task.status === 'cancelled');
+  const hasUnqueuedPdf = state.files.some((f, i) => isUnqueued(i) && fileKind(f) === 'pdf');
+  extractBtn.disabled = state.inProgress || !hasUnqueued;
+  serverExtractBtn.disabled = state.inProgress || !hasUnqueuedPdf;
+  retryFailedBtn.disabled = state.inProgress || !hasFailed;
+  pauseBtn.disabled = !state.inProgress || state.paused || !state.abortController;
+  cancelBtn.disabled = !state.abortController || state.abortController.signal.aborted;
+  resumeBtn.disabled = state.inProgress || !hasLeft;
+}
+
+async function startServerJob() {
+  const indexes = state.files.map((_, i) => i).filter((i) => isUnqueued(i) && fileKind(state.files[i]) === 'pdf');
+  if (!indexes.length || state.inProgress) return;
+  serverExtractBtn.disabled = true;
   try {
-    const formData = new FormData();
-    formData.append('image', imageBlob, `${meta.fileName}-p${meta.pageIndex}.png`);
-    formData.append('meta', JSON.stringify(meta));
-    const res = await fetch('/api/extract', { method: 'POST', body: formData });
-    if (!res.ok) {
-      showToast('API error while extracting. Retry allowed.');
-      throw new Error(`API error ${res.status}`);
+    // One request per PDF keeps every upload under the host's request size limit; the job is
+    // created with the first file and starts once the last one is in.
+    let summary = null;
+    for (const [n, i] of indexes.entries()) {
+      progressText.textContent = `Uploading ${state.files[i].name} to the server (${n + 1}/${indexes.length})…`;
+      const formData = new FormData();
+      formData.append('file', state.files[i], state.files[i].name);
+      formData.append('templates', JSON.stringify([fileTemplate(i)]));
+      if (!summary) formData.append('total', String(indexes.length));
+      const url = summary ? `/api/jobs?id=${encodeURIComponent(summary.id)}` : '/api/jobs';
+      const res = await apiFetch(url, { method: 'POST', body: formData });
+      if (!res.ok) throw await apiError(res);
+      summary = await res.json();
     }
-    const data = await res.json();
-    return data.notes || [];
+    indexes.forEach((i) => state.remoteFiles.add(i));
+    const job = { id: summary.id, since: 0, fileIndexes: indexes, summary, batchId: state.batch?.id };
+    state.serverJobs.push(job);
+    saveServerJobs();
+    saveRows();
+    showToast(`Server job started for ${indexes.length} file(s). It keeps running if you close this tab.`);
+    pollServerJob(job);
   } catch (err) {
-    showToast('Network/API error. Please retry.');
-    throw err;
+    console.error(err);
+    showToast(`Could not start server job: ${err.message}`);
   }
+  updateProgress();
+  renderFileList();
+  updateActionButtons();
 }
 
-function addNotes(notes, meta) {
-  notes.forEach((note, idx) => {
-    const key = `${meta.fileName}|${meta.pageIndex}|${note.datum || ''}|${note.aantal || ''}|${note.unit || ''}`;
-    if (state.dedupe.has(key)) {
+async function pollServerJob(job) {
+  if (!state.serverJobs.includes(job)) return;
+  try {
+    const statusRes = await apiFetch(`/api/jobs?id=${encodeURIComponent(job.id)}`);
+    if (statusRes.status === 404) {
+      finishServerJob(job, 'Server job not found (it may have expired).');
       return;
     }
-    state.dedupe.add(key);
-    const derived = deriveFields(note, meta);
-    const row = {
-      id: uniqueId(),
-      ...derived,
-      raw: note,
-      meta,
-      noteIndex: idx
-    };
-    state.rows.push(row);
-  });
-  saveRows();
-  renderTable();
-  renderIssuesPanel();
+    if (!statusRes.ok) throw await apiError(statusRes);
+    job.summary = await statusRes.json();
+
+    const resultsRes = await apiFetch(`/api/job-results?id=${encodeURIComponent(job.id)}&since=${job.since}`);
+    if (!resultsRes.ok) throw await apiError(resultsRes);
+    const results = await resultsRes.json();
+    if (!state.serverJobs.includes(job)) return;
+    if (job.batchId && job.batchId !== state.batch?.id) {
+      setTimeout(() => pollServerJob(job), JOB_POLL_MS);
+      return;
+    }
+    results.pages.forEach((page) => {
+      addNotes(page.notes, {
+        fileName: page.fileName,
+        fileIndex: job.fileIndexes?.[page.fileIndex] ?? page.fileIndex,
+        pageIndex: page.pageIndex
+      });
+    });
+    job.since = Math.max(job.since, results.seq);
+    saveServerJobs();
+    renderFileList();
+
+    if (results.status === 'done' || results.status === 'failed') {
+      const { totalPages, failedPages } = job.summary;
+      finishServerJob(job, `Server job finished: ${totalPages - failedPages}/${totalPages} page(s) extracted.`);
+      if (!failedPages && autoPushInput.checked) pushBatch();
+      return;
+    }
+    setTimeout(() => pollServerJob(job), JOB_POLL_MS);
+  } catch (err) {
+    console.error(err);
+    if (err.status === 401) showToast(`Server job ${job.id}: ${err.message}`);
+    setTimeout(() => pollServerJob(job), JOB_POLL_MS * (err.status === 401 ? 10 : 3));
+  }
 }
 
-function deriveFields(note, meta) {
-  const warnings = [];
-  const safeDatum = (note.datum || '').trim();
-  const rawAantal = (note.aantal || '').trim();
-  const rawUnit = (note.unit || '').trim();
+function finishServerJob(job, message) {
+  job.finished = true;
+  saveServerJobs();
+  renderFileList();
+  showToast(message);
+}
 
-  const aantalNormalized = parseAantal(rawAantal, warnings);
-  const unitInfo = parseUnit(rawUnit, warnings);
+function saveServerJobs() {
+  const pending = state.serverJobs
+    .filter((job) => !job.finished)
+    .map(({ id, since, fileIndexes, summary, batchId }) => ({ id, since, fileIndexes, summary, batchId }));
+  localStorage.setItem(SERVER_JOBS_KEY, JSON.stringify(pending));
+}
 
-  let hoogte_enkel = null;
-  if (unitInfo.valid) {
-    hoogte_enkel = unitInfo.digits * 10;
-  } else {
-    warnings.push('Unit invalid; hoogte_enkel missing.');
-  }
+// Files handed to a server job must not be extracted again in the browser. Finished jobs are
+// remembered through the batch's saved `remoteFiles`; running ones through their `fileIndexes`.
+function markRemoteFiles() {
+  state.serverJobs
+    .filter((job) => job.batchId === state.batch?.id)
+    .forEach((job) => (job.fileIndexes || []).forEach((i) => state.remoteFiles.add(i)));
+}
 
-  let hoogte_stack = null;
-  if (hoogte_enkel != null) {
-    hoogte_stack = hoogte_enkel <= 150 ? hoogte_enkel * 2 : hoogte_enkel;
+function resumeServerJobs() {
+  const stored = localStorage.getItem(SERVER_JOBS_KEY);
+  if (!stored) return;
+  try {
+    state.serverJobs = JSON.parse(stored);
+  } catch (e) {
+    console.warn('Failed to parse stored server jobs', e);
+    return;
   }
+  markRemoteFiles();
+  renderFileList();
+  updateActionButtons();
+  state.serverJobs.forEach((job) => pollServerJob(job));
+}
 
-  let aantal2 = null;
-  if (aantalNormalized != null) {
-    aantal2 = hoogte_enkel != null && hoogte_enkel <= 150
-      ? Math.round(aantalNormalized / 2)
-      : Math.round(aantalNormalized);
+async function handlePage(task, signal) {
+  state.currentFileIndex = task.fileIndex + 1;
+  state.currentPage = task.pageIndex;
+  state.currentPageTotal = task.pageCount;
+  updateProgress();
+  const source = await getSource(task.fileIndex);
+  const blob = await renderPageToBlob(source, task.pageIndex);
+  signal?.throwIfAborted();
+  const payloadMeta = {
+    fileName: task.fileName,
+    fileIndex: task.fileIndex,
+    pageIndex: task.pageIndex,
+    template: fileTemplate(task.fileIndex)
+  };
+  storePageImage(payloadMeta, blob);
+  const force = forceExtractInput.checked;
+  const pageHash = await hashBlob(blob);
+  const hash = pageHash && `${payloadMeta.template}:${pageHash}`;
+  const local = hash && !force ? await readCachedResult(hash) : null;
+  if (local) {
+    task.cached = 'browser';
+    state.cacheHits += 1;
+    addNotes(local, payloadMeta);
+    return;
   }
+  const { notes, cached } = await callExtractApi(blob, payloadMeta, {
+    signal,
+    force,
+    onRetry: (attempt, delay) => {
+      task.error = `Retry ${attempt} in ${Math.round(delay / 1000)}s`;
+      renderFileList();
+    }
+  });
+  task.cached = cached ? 'server' : '';
+  if (cached) state.cacheHits += 1;
+  if (hash) writeCachedResult(hash, notes);
+  addNotes(notes, payloadMeta);
+}
 
-  const pallet = unitInfo.letter === 'M' ? 'BLOK' : 'EURO';
-
-  return {
-    datum: safeDatum,
-    aantal: rawAantal || '',
-    unit: rawUnit || '',
-    hoogte_enkel,
-    hoogte_stack,
-    aantal2,
-    pallet,
-    warnings,
-    duplicate: false,
-    fileName: meta.fileName,
-    pageIndex: meta.pageIndex
-  };
+async function hashBlob(blob) {
+  if (!window.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
 }
 
-function parseAantal(raw, warnings) {
-  if (!raw) {
-    warnings.push('Missing aantal.');
-    return null;
-  }
-  const normalized = raw.replace(',', '.');
-  const num = parseFloat(normalized);
-  if (Number.isNaN(num)) {
-    warnings.push('Aantal is not a number.');
+// Results are cached per page image across batches; a missing or broken IndexedDB only
+// means every page goes to the server.
+async function readCachedResult(hash) {
+  try {
+    return (await dbGet('results', hash))?.notes || null;
+  } catch (err) {
     return null;
   }
-  return num;
 }
 
-function parseUnit(raw, warnings) {
-  const valid = /^[A-Z][0-9]{2}$/.test(raw);
-  if (!valid) warnings.push('Unit format invalid.');
-  return {
-    valid,
-    letter: raw ? raw[0] : '',
-    digits: valid ? parseInt(raw.slice(1), 10) : null
-  };
+function writeCachedResult(hash, notes) {
+  dbPut('results', { hash, notes, cachedAt: new Date().toISOString() }).catch(() => {});
 }
 
-function renderTable() {
-  let rows = [...state.rows];
-  if (state.filterTerm) {
-    rows = rows.filter((r) => Object.values(r).some((v) => {
-      if (v === null || v === undefined) return false;
-      return String(v).toLowerCase().includes(state.filterTerm);
-    }));
-  }
-  rows.sort((a, b) => {
-    const key = state.sortKey;
-    const va = a[key] ?? '';
-    const vb = b[key] ?? '';
-    if (va < vb) return state.sortDir === 'asc' ? -1 : 1;
-    if (va > vb) return state.sortDir === 'asc' ? 1 : -1;
-    return 0;
-  });
-
-  tableBody.innerHTML = rows.map((row) => {
-    const issues = row.warnings.length ? row.warnings.join(', ') : '';
-    const hasWarning = (field) => row.warnings.some((w) => w.toLowerCase().includes(field));
-    const highlightClass = (val, field) => (val === null || val === '' || hasWarning(field) ? 'highlight' : '');
-    const safeVal = (val) => (val === null || val === '' ? '-' : val);
-    return `
-      <tr data-row-id="${row.id}">
-        <td>${safeVal(row.datum)}</td>
-        <td class="${highlightClass(row.aantal, 'aantal')}">${safeVal(row.aantal)}</td>
-        <td class="${highlightClass(row.unit, 'unit')}">${safeVal(row.unit)}</td>
-        <td class="${highlightClass(row.hoogte_enkel, 'hoogte')}">${safeVal(row.hoogte_enkel)}</td>
-        <td class="${highlightClass(row.hoogte_stack, 'stack')}">${safeVal(row.hoogte_stack)}</td>
-        <td class="${highlightClass(row.aantal2, 'aantal2')}">${safeVal(row.aantal2)}</td>
-        <td>${row.pallet}</td>
-        <td>${issues ? `<span class="issue-chip">${issues}</span>` : ''}</td>
-      </tr>
-    `;
-  }).join('');
+async function renderPageToBlob(source, pageIndex, options = state.preprocess) {
+  const canvas = await source.renderPage(pageIndex, options.scale);
+  return encodeCanvas(preprocessCanvas(canvas, options), options);
 }
 
-function renderIssuesPanel() {
-  const allWarnings = state.rows.flatMap((r) => r.warnings.map((w) => `${r.fileName} p${r.pageIndex}: ${w}`));
-  issuesPanel.textContent = allWarnings.length ? allWarnings.join(' | ') : 'No warnings.';
+function preprocessCanvas(canvas, options) {
+  let current = canvas;
+  if (options.rotate || options.deskew) {
+    let layout = detectLayout(sampleGray(current));
+    if (options.rotate && layout.sideways) {
+      current = rotateCanvas(current, Math.PI / 2);
+      layout = detectLayout(sampleGray(current));
+    }
+    if (options.deskew && Math.abs(layout.angle) >= MIN_DESKEW_DEGREES) {
+      current = rotateCanvas(current, (-layout.angle * Math.PI) / 180);
+    }
+  }
+  if (options.cropMargins) current = cropMargins(current, sampleGray(current));
+  if (options.grayscale || options.contrast) adjustTones(current, options, sampleGray(current));
+  return current;
 }
 
-function exportCsv() {
-  if (!state.rows.length) return;
-  const headers = ['datum','aantal','unit','hoogte_enkel','hoogte_stack','aantal2','pallet'];
-  const lines = [headers.join(',')];
-  state.rows.forEach((r) => {
-    const values = headers.map((h) => formatCsvValue(r[h]));
-    lines.push(values.join(','));
-  });
-  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = 'cmr-notes.csv';
-  link.click();
-  URL.revokeObjectURL(url);
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
 }
 
-function formatCsvValue(val) {
-  if (val === null || val === undefined) return '';
-  const str = String(val);
-  if (str.includes(',') || str.includes('"')) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
+// Downscaled luminance copy used for the detection steps; full-size pixels are only touched
+// when drawing the result.
+function sampleGray(canvas, maxDim = ANALYSIS_SIZE) {
+  const ratio = Math.min(1, maxDim / Math.max(canvas.width, canvas.height));
+  const small = createCanvas(canvas.width * ratio, canvas.height * ratio);
+  const context = small.getContext('2d');
+  context.drawImage(canvas, 0, 0, small.width, small.height);
+  const { data } = context.getImageData(0, 0, small.width, small.height);
+  const gray = new Uint8ClampedArray(small.width * small.height);
+  for (let i = 0; i < gray.length; i++) gray[i] = luminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  const { low, high } = percentileRange(gray);
+  return { gray, width: small.width, height: small.height, ratio, low, high, threshold: (low + high) / 2 };
 }
 
-async function copyTsv() {
-  if (!state.rows.length) return;
-  const headers = ['datum','aantal','unit','hoogte_enkel','hoogte_stack','aantal2','pallet'];
-  const lines = [headers.join('\t')];
-  state.rows.forEach((r) => {
-    const values = headers.map((h) => (r[h] ?? ''));
-    lines.push(values.join('\t'));
-  });
-  await navigator.clipboard.writeText(lines.join('\n'));
-  showToast('Copied TSV to clipboard');
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
 }
 
-function clearAll() {
-  state.rows = [];
-  state.dedupe.clear();
-  state.files = [];
-  saveRows();
-  renderTable();
-  renderIssuesPanel();
-  renderFileList();
-  extractBtn.disabled = true;
-  progressText.textContent = 'Idle — no files yet';
-  showToast('Cleared all rows and storage');
+function percentileRange(gray, lowFraction = 0.01, highFraction = 0.99) {
+  const histogram = new Uint32Array(256);
+  gray.forEach((value) => {
+    histogram[value] += 1;
+  });
+  const find = (fraction) => {
+    const target = gray.length * fraction;
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= target) return value;
+    }
+    return 255;
+  };
+  return { low: find(lowFraction), high: find(highFraction) };
 }
 
-function updateProgress() {
-  const total = state.totalPages || 1;
-  const pct = Math.min(100, Math.round((state.processedPages / total) * 100));
-  progressFill.style.width = `${pct}%`;
-  const fileTotal = state.filePageTotals[state.currentFileIndex - 1] || state.currentPageTotal || 1;
-  const page = Math.min(state.currentPage, fileTotal);
-  progressText.textContent = state.inProgress
-    ? `Processing: file ${state.currentFileIndex}/${state.files.length || 1} — page ${page}/${fileTotal} (${pct}%)`
-    : 'Idle — no files yet';
+// Projection profiles: shear the dark pixels by each candidate angle and keep the angle whose
+// histogram is most concentrated (text lines fall into the fewest bins). Doing the same along
+// the columns tells whether the lines run vertically, i.e. the page was scanned sideways.
+// 90° and 270° look the same here, so a page turned the other way ends up upside down, which
+// the model still reads.
+function detectLayout(sample) {
+  const { gray, width, height, threshold } = sample;
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] < threshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 50) return { sideways: false, angle: 0 };
+  const rows = bestProjection(xs, ys, width, height);
+  const cols = bestProjection(ys, xs, height, width);
+  return {
+    sideways: cols.score > rows.score * SIDEWAYS_RATIO,
+    angle: Math.round(rows.angle * 100) / 100
+  };
 }
 
-function showToast(message) {
-  toast.textContent = message;
-  toast.classList.add('show');
-  setTimeout(() => toast.classList.remove('show'), 2800);
+function bestProjection(along, across, length, bins) {
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES + 1e-9; angle += SKEW_STEP_DEGREES) {
+    const slope = Math.tan((angle * Math.PI) / 180);
+    const offset = Math.ceil(length * Math.abs(slope)) + 1;
+    const counts = new Float64Array(bins + offset * 2);
+    for (let i = 0; i < along.length; i++) counts[Math.round(across[i] - along[i] * slope) + offset] += 1;
+    const first = counts.findIndex((count) => count > 0);
+    let last = counts.length - 1;
+    while (counts[last] === 0) last -= 1;
+    // Normalised so a uniform spread scores 1 whatever the number of bins.
+    const score = (counts.reduce((sum, count) => sum + count * count, 0) * (last - first + 1)) / along.length ** 2;
+    if (score > best.score) best = { angle, score };
+  }
+  return best;
 }
 
-function showDetails(row) {
-  const pairs = [
-    ['Filename', row.fileName],
-    ['Page #', row.pageIndex],
-    ['Datum', row.datum || '-'],
-    ['Aantal (raw)', row.aantal || '-'],
-    ['Unit', row.unit || '-'],
-    ['Hoogte enkel', row.hoogte_enkel ?? '-'],
-    ['Hoogte stack', row.hoogte_stack ?? '-'],
-    ['Aantal2', row.aantal2 ?? '-'],
-    ['Pallet', row.pallet],
-    ['Warnings', row.warnings.length ? row.warnings.join(', ') : 'None']
-  ];
-  detailsGrid.innerHTML = pairs.map(([label, value]) => `
-    <div class="cell">
-      <div class="label">${label}</div>
-      <div class="value">${value}</div>
-    </div>
-  `).join('');
-  detailsModal.classList.add('show');
+function rotateCanvas(canvas, radians) {
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const rotated = createCanvas(canvas.width * cos + canvas.height * sin, canvas.width * sin + canvas.height * cos);
+  const context = rotated.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, rotated.width, rotated.height);
+  context.translate(rotated.width / 2, rotated.height / 2);
+  context.rotate(radians);
+  context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return rotated;
 }
 
-function saveRows() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state.rows));
+function cropMargins(canvas, sample) {
+  const { gray, width, height, ratio, threshold } = sample;
+  const rowMin = Math.max(1, width * MARGIN_NOISE);
+  const colMin = Math.max(1, height * MARGIN_NOISE);
+  const rows = new Uint32Array(height);
+  const cols = new Uint32Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] >= threshold) continue;
+      rows[y] += 1;
+      cols[x] += 1;
+    }
+  }
+  const top = rows.findIndex((count) => count >= rowMin);
+  if (top < 0) return canvas;
+  const bottom = height - 1 - [...rows].reverse().findIndex((count) => count >= rowMin);
+  const left = cols.findIndex((count) => count >= colMin);
+  const right = width - 1 - [...cols].reverse().findIndex((count) => count >= colMin);
+  const pad = Math.round(Math.max(width, height) * MARGIN_PADDING);
+  const x0 = Math.max(0, left - pad) / ratio;
+  const y0 = Math.max(0, top - pad) / ratio;
+  const x1 = Math.min(width, right + 1 + pad) / ratio;
+  const y1 = Math.min(height, bottom + 1 + pad) / ratio;
+  if ((x1 - x0) * (y1 - y0) > canvas.width * canvas.height * 0.97) return canvas;
+  const cropped = createCanvas(x1 - x0, y1 - y0);
+  cropped.getContext('2d').drawImage(canvas, x0, y0, x1 - x0, y1 - y0, 0, 0, cropped.width, cropped.height);
+  return cropped;
 }
 
-function loadStoredRows() {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (stored) {
-    try {
-      state.rows = JSON.parse(stored);
-      state.rows.forEach((r) => {
-        const key = `${r.fileName}|${r.pageIndex}|${r.datum || ''}|${r.aantal || ''}|${r.unit || ''}`;
-        state.dedupe.add(key);
-      });
-    } catch (e) {
-      console.warn('Failed to parse stored rows', e);
+function adjustTones(canvas, { grayscale, contrast }, sample) {
+  const low = contrast ? sample.low : 0;
+  const high = contrast ? sample.high : 255;
+  const range = Math.max(1, high - low);
+  const levels = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) levels[value] = ((value - low) * 255) / range;
+  const context = canvas.getContext('2d');
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    if (grayscale) {
+      const value = levels[Math.round(luminance(data[i], data[i + 1], data[i + 2]))];
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+    } else {
+      data[i] = levels[data[i]];
+      data[i + 1] = levels[data[i + 1]];
+      data[i + 2] = levels[data[i + 2]];
     }
   }
+  context.putImageData(image, 0, 0);
 }
 
-function renderFileList() {
-  if (!state.files.length) {
-    fileListEl.textContent = 'No files selected yet.';
-    return;
+// Lowers the quality first and only then the resolution, so small text stays legible as long
+// as possible. Browsers that can't encode the format (WebP in older Safari) fall back to JPEG.
+async function encodeCanvas(canvas, { format, targetKB }) {
+  const targetBytes = targetKB * 1024;
+  const qualities = format === 'image/png' ? [undefined] : ENCODE_QUALITIES;
+  let current = canvas;
+  for (let attempt = 0; ; attempt++) {
+    let blob;
+    for (const quality of qualities) {
+      blob = await canvasToBlob(current, format, quality);
+      if (blob.type && blob.type !== format && format !== 'image/jpeg') {
+        return encodeCanvas(canvas, { format: 'image/jpeg', targetKB });
+      }
+      if (!targetBytes || blob.size <= targetBytes) return blob;
+    }
+    if (attempt >= MAX_DOWNSCALES) return blob;
+    const smaller = createCanvas(current.width * DOWNSCALE_STEP, current.height * DOWNSCALE_STEP);
+    smaller.getContext('2d').drawImage(current, 0, 0, smaller.width, smaller.height);
+    current = smaller;
   }
-  fileListEl.innerHTML = state.files
-    .map((f) => `<span class="file-chip">${f.name}</span>`)
-    .join('');
 }
 
-function runDerivedFieldTests() {
-  const samples = [
-    { unit: 'E28', aantal: '10', label: 'E28 with aantal 10' },
-    { unit: 'E15', aantal: '9', label: 'E15 with aantal 9' },
-    { unit: 'E20', aantal: '12,5', label: 'E20 with aantal 12,5' },
-    { unit: 'M15', aantal: '8', label: 'M15 pallet=BLOK' },
-    { unit: 'A20', aantal: '5', label: 'A20 pallet=EURO' },
-    { unit: 'E2X', aantal: '7', label: 'Invalid unit E2X' }
-  ];
-  samples.forEach((sample) => {
-    const derived = deriveFields({ datum: '01-01-2024', aantal: sample.aantal, unit: sample.unit }, { fileName: 'test.pdf', fileIndex: 0, pageIndex: 1 });
-    console.log(sample.label, derived);
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode page image'))), type, quality);
   });
 }
 
-function uniqueId() {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
-  return `id-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+function imageExtension(type) {
+  return { 'image/jpeg': 'jpg', 'image/webp': 'webp' }[type] || 'png';
 }
 
-async function ensurePdfJs() {
-  if (window.pdfjsLib) {
-    setWorkerSrc(pdfSources[0]);
-    pdfAvailable = true;
-    return true;
+// Files are told apart by their index in the batch: two uploads may share a name.
+function pageKey(meta) {
+  return `${meta.fileIndex}|${meta.fileName}|${meta.pageIndex}`;
+}
+
+function storePageImage(meta, blob) {
+  const key = pageKey(meta);
+  const previous = state.pageImages.get(key);
+  if (previous) URL.revokeObjectURL(previous);
+  state.pageImages.set(key, URL.createObjectURL(blob));
+  storeBatchPage(meta, blob);
+}
+
+function clearPageImages() {
+  state.pageImages.forEach((url) => URL.revokeObjectURL(url));
+  state.pageImages.clear();
+}
+
+const RETRY_DELAYS = [1000, 2000, 4000, 8000];
+
+async function callExtractApi(imageBlob, meta, { onRetry, signal, force = false } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const formData = new FormData();
+    formData.append('image', imageBlob, `${meta.fileName}-p${meta.pageIndex}.${imageExtension(imageBlob.type)}`);
+    formData.append('meta', JSON.stringify(meta));
+    formData.append('template', meta.template || AUTO_TEMPLATE);
+    if (force) formData.append('force', '1');
+    let res;
+    let error;
+    try {
+      res = await apiFetch('/api/extract', { method: 'POST', body: formData, signal });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      error = err;
+    }
+    if (res?.ok) {
+      const data = await res.json();
+      return { notes: Array.isArray(data.notes) ? data.notes : [], cached: Boolean(data.cached) };
+    }
+    if (res) error = await apiError(res);
+    if (!isRetryable(error) || attempt >= RETRY_DELAYS.length) throw error;
+    const delay = retryDelay(res, attempt);
+    if (onRetry) onRetry(attempt + 1, delay);
+    await wait(delay, signal);
+  }
+}
+
+function apiFetch(url, options = {}) {
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+  if (!token) return fetch(url, options);
+  return fetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } });
+}
+
+async function apiError(res) {
+  let message = `API error ${res.status}`;
+  let retryable;
+  try {
+    const data = await res.json();
+    if (data?.error) message = typeof data.error === 'string' ? data.error : JSON.stringify(data.error);
+    if (typeof data?.retryable === 'boolean') retryable = data.retryable;
+  } catch {
+    // Non-JSON error body; keep the status message.
+  }
+  const error = new Error(describeApiError(res.status, message));
+  error.status = res.status;
+  error.retryable = retryable;
+  return error;
+}
+
+function describeApiError(status, message) {
+  if (status === 401) return `${message} — set the access token in Settings.`;
+  if (status === 413) return `${message} — lower the target size under Settings → Image preprocessing.`;
+  if (status === 415) return `${message} — the server only accepts PNG, JPEG or WebP pages.`;
+  if (status === 429) return `Rate limited by the server: ${message}`;
+  return message;
+}
+
+// The API says whether an error is worth retrying; without that (a gateway error page) only
+// rate limits and gateway errors are, and so are requests that got no response at all. Other 5xx,
+// such as a missing OPENAI_API_KEY, fail the same way every time.
+function isRetryable(error) {
+  if (!('status' in error)) return true;
+  return error.retryable ?? [429, 502, 503, 504].includes(error.status);
+}
+
+function retryDelay(res, attempt) {
+  const retryAfter = Number(res?.headers?.get?.('Retry-After'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  const base = RETRY_DELAYS[attempt];
+  return base + Math.round(Math.random() * base * 0.25);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function addNotes(notes, meta) {
+  notes.forEach((note, idx) => {
+    const key = dedupeKey(note, meta);
+    if (state.dedupe.has(key)) {
+      return;
+    }
+    state.dedupe.add(key);
+    const derived = deriveFields(note, meta, state.rules);
+    const row = {
+      id: uniqueId(),
+      ...derived,
+      raw: note,
+      meta,
+      noteIndex: idx,
+      history: []
+    };
+    state.rows.push(row);
+  });
+  rowsChanged();
+}
+
+// Identifies a note read from a page, so pages extracted again (resume, retry) don't add it twice.
+function dedupeKey(note, meta) {
+  const lines = noteLines(note).map((line) => `${line.aantal ?? ''}x${line.unit ?? ''}`).join('+');
+  return `${pageKey(meta)}|${note.note_number || ''}|${note.datum || ''}|${lines}`;
+}
+
+function rowsChanged() {
+  stitchContinuations();
+  detectDuplicates();
+  saveRows();
+  updateReconciliation();
+  renderTable();
+  renderIssuesPanel();
+}
+
+// Flags rows that describe the same delivery note, across pages and files. Rows are bucketed
+// on OCR-normalised date, unit and quantity; within a bucket, note numbers (when both rows have
+// one) may differ by a single misread character.
+function detectDuplicates() {
+  const buckets = new Map();
+  state.rows.forEach((row) => {
+    row.duplicate = false;
+    row.duplicateGroup = null;
+    const date = row.datum_iso || normalizeOcr(row.datum).replace(/\D/g, '');
+    const unit = normalizeOcr(row.unit);
+    const quantity = parseFloat(String(row.aantal || '').replace(',', '.'));
+    if (!date || !unit || Number.isNaN(quantity)) return;
+    const key = `${date}|${unit}|${quantity}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(row);
+  });
+
+  buckets.forEach((rows) => {
+    if (rows.length < 2) return;
+    const parent = rows.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const members = rows.map((row) => [row]);
+    for (let i = 0; i < rows.length; i++) {
+      for (let j = i + 1; j < rows.length; j++) {
+        const [rootI, rootJ] = [find(i), find(j)];
+        if (rootI === rootJ || !isDuplicatePair(rows[i], rows[j])) continue;
+        // Never chain two notes of one page into a group through a third row.
+        if (members[rootI].some((a) => members[rootJ].some((b) => samePageNotes(a, b)))) continue;
+        parent[rootJ] = rootI;
+        members[rootI].push(...members[rootJ]);
+      }
+    }
+    const groups = new Map();
+    rows.forEach((row, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(row);
+    });
+    groups.forEach((group) => {
+      if (group.length < 2) return;
+      group.forEach((row) => {
+        row.duplicate = true;
+        row.duplicateGroup = group[0].id;
+      });
+    });
+  });
+}
+
+function isDuplicatePair(a, b) {
+  if ((a.distinctFrom || []).includes(b.id) || (b.distinctFrom || []).includes(a.id)) return false;
+  if (samePageNotes(a, b)) return false;
+  const noteA = normalizeOcr(a.note_number);
+  const noteB = normalizeOcr(b.note_number);
+  if (!noteA || !noteB) return true;
+  const tolerance = Math.min(noteA.length, noteB.length) >= 6 ? 1 : 0;
+  return levenshtein(noteA, noteB) <= tolerance;
+}
+
+// Two notes read from the same page of the same file are different notes by construction, even
+// when their values match.
+function samePageNotes(a, b) {
+  const notesOf = (row) => row.sources || [{ fileName: row.fileName, pageIndex: row.pageIndex, noteIndex: row.noteIndex }];
+  return notesOf(a).some((p) => notesOf(b).some((q) => q.fileName === p.fileName
+    && q.pageIndex === p.pageIndex
+    && (q.noteIndex || 0) !== (p.noteIndex || 0)));
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function duplicateGroupRows(groupId) {
+  return state.rows.filter((row) => row.duplicateGroup === groupId);
+}
+
+function showMergeDialog(groupId) {
+  const rows = duplicateGroupRows(groupId);
+  if (rows.length < 2) return;
+  const fields = ['datum', 'aantal', 'unit', 'note_number', 'cmr_number', 'sender', 'consignee'];
+  mergeBody.dataset.groupId = groupId;
+  mergeBody.innerHTML = `
+    <div class="table-wrapper">
+      <table class="merge-table">
+        <thead>
+          <tr>
+            <th>source</th>
+            ${fields.map((f) => `<th>${f}</th>`).join('')}
+            <th>warnings</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((row) => `
+            <tr>
+              <td>${escapeHtml(row.fileName)} p${row.pageIndex}</td>
+              ${fields.map((f) => `<td>${escapeHtml(row[f] || '-')}</td>`).join('')}
+              <td>${row.warnings.length}</td>
+              <td><button class="ghost" data-merge-action="keep-one" data-row-id="${escapeHtml(row.id)}">Keep this</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+  mergeModal.classList.add('show');
+}
+
+function keepOnlyRow(groupId, keepId) {
+  const removeIds = new Set(duplicateGroupRows(groupId).filter((row) => row.id !== keepId).map((row) => row.id));
+  state.rows = state.rows.filter((row) => !removeIds.has(row.id));
+  rowsChanged();
+  showToast(`Kept 1 row, removed ${removeIds.size} duplicate(s).`);
+}
+
+function keepAllRows(groupId) {
+  const rows = duplicateGroupRows(groupId);
+  rows.forEach((row) => {
+    const others = rows.filter((other) => other !== row).map((other) => other.id);
+    row.distinctFrom = [...new Set([...(row.distinctFrom || []), ...others])];
+  });
+  rowsChanged();
+  showToast(`Marked ${rows.length} rows as distinct notes.`);
+}
+
+// Keeps the first row of the group, fills its empty fields from the others (recorded as
+// corrections in the audit trail) and records every merged source page.
+function combineRows(groupId) {
+  const [primary, ...others] = duplicateGroupRows(groupId);
+  if (!primary) return;
+  const at = new Date().toISOString();
+  const by = state.editor || 'anonymous';
+  const corrected = { ...(primary.raw.corrected || {}) };
+  const history = [...(primary.history || [])];
+  EDITABLE_FIELDS.forEach((field) => {
+    if (primary[field]) return;
+    // Several line items have no single aantal/unit to fill in.
+    if (['aantal', 'unit'].includes(field) && primary.lines?.length > 1) return;
+    const donor = others.find((row) => row[field] && !(['aantal', 'unit'].includes(field) && row.lines?.length > 1));
+    if (!donor) return;
+    corrected[lineField(primary, field)] = donor[field];
+    history.push({ at, by, field, from: '', to: donor[field], source: `${donor.fileName} p${donor.pageIndex}` });
+  });
+  primary.raw = { ...primary.raw, corrected };
+  primary.history = [...history, ...others.flatMap((row) => row.history || [])];
+  primary.sources = uniqueSources([primary, ...others].flatMap(rowSources));
+  primary.mergedFrom = [...(primary.mergedFrom || []), ...others.map((row) => row.id)];
+  Object.assign(primary, deriveFields(effectiveNote(primary), primary.meta || primary, state.rules));
+  const removeIds = new Set(others.map((row) => row.id));
+  state.rows = state.rows.filter((row) => !removeIds.has(row.id));
+  rowsChanged();
+  showToast(`Combined ${others.length + 1} rows into one.`);
+}
+
+function rowSources(row) {
+  return row.sources || [{ fileName: row.fileName, pageIndex: row.pageIndex, noteIndex: row.noteIndex }];
+}
+
+function uniqueSources(sources) {
+  const seen = new Set();
+  return sources.filter((source) => {
+    const key = `${source.fileName}|${source.pageIndex}|${source.noteIndex}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Joins the rows of a delivery note that runs over several pages of the same file into the row
+// of its first page. Pages finish in any order, so this runs on every change and also joins
+// parts that were themselves stitched before. `parts` keeps each page's own note and meta.
+function stitchContinuations() {
+  const rowPart = (row) => ({ row, note: row.raw, fileName: row.fileName, sources: rowSources(row) });
+  let pair = findContinuation(state.rows.map(rowPart));
+  while (pair) {
+    const [{ row: head }, { row: tail }] = pair;
+    const parts = [...rowParts(head), ...rowParts(tail)];
+    const corrected = { ...shiftLineCorrections(tail.raw, ownLines(head.raw).length), ...(head.raw.corrected || {}) };
+    head.raw = { ...joinNotes(head.raw, tail.raw), corrected };
+    head.parts = parts;
+    head.sources = uniqueSources([...rowSources(head), ...rowSources(tail)]);
+    head.history = [...(head.history || []), ...(tail.history || [])];
+    Object.assign(head, deriveFields(effectiveNote(head), head.meta || head, state.rules));
+    state.rows = state.rows.filter((row) => row !== tail);
+    pair = findContinuation(state.rows.map(rowPart));
+  }
+}
+
+// The tail's line item corrections are keyed by its own line numbers; in the joined note its lines
+// come after the head's. A tail from before line items had its quantity corrected on the note.
+function shiftLineCorrections(tail, offset) {
+  return Object.fromEntries(Object.entries(tail.corrected || {}).map(([field, value]) => {
+    const match = LINE_FIELD_PATH.exec(field);
+    if (match) return [`lines.${Number(match[1]) + offset}.${match[2]}`, value];
+    if (!Array.isArray(tail.lines) && ['aantal', 'unit'].includes(field)) return [`lines.${offset}.${field}`, value];
+    return [field, value];
+  }));
+}
+
+function rowParts(row) {
+  return row.parts || [{ raw: row.raw, meta: row.meta, noteIndex: row.noteIndex }];
+}
+
+function rowPages(row) {
+  return rowSources(row).map((source) => (source.fileName === row.fileName ? `p${source.pageIndex}` : `${source.fileName} p${source.pageIndex}`)).join(', ');
+}
+
+// The model's note with the user's corrections applied; corrections to line items are keyed
+// `lines.<index>.<field>`.
+function effectiveNote(row) {
+  const note = { ...row.raw };
+  const lines = noteLines(row.raw).map((line) => ({ ...line }));
+  let linesCorrected = false;
+  Object.entries(row.raw.corrected || {}).forEach(([field, value]) => {
+    const match = LINE_FIELD_PATH.exec(field);
+    if (!match) {
+      note[field] = value;
+      return;
+    }
+    if (!lines[match[1]]) return;
+    lines[match[1]][match[2]] = value;
+    linesCorrected = true;
+  });
+  if (linesCorrected) note.lines = lines;
+  return note;
+}
+
+// Edits of aantal/unit on a single-line note go to its line item when the model returned line
+// items; notes from before line items keep them on the note.
+function lineField(row, field) {
+  if (!['aantal', 'unit'].includes(field) || !row.raw?.lines?.length) return field;
+  return `lines.0.${field}`;
+}
+
+function fieldValue(source, field) {
+  const match = LINE_FIELD_PATH.exec(field);
+  if (!match) return source?.[field];
+  return noteLines(source || {})[match[1]]?.[match[2]];
+}
+
+function isCorrected(row, field) {
+  return row.raw?.corrected?.[field] !== undefined;
+}
+
+function updateRowField(row, editedField, value) {
+  const field = lineField(row, editedField);
+  if (!EDITABLE_FIELDS.includes(field) && !LINE_FIELD_PATH.test(field)) return false;
+  const next = String(value ?? '').trim();
+  const previous = String(fieldValue(row, field) ?? '');
+  if (next === previous) return false;
+
+  const corrected = { ...(row.raw.corrected || {}) };
+  if (next === String(fieldValue(row.raw, field) ?? '').trim()) {
+    delete corrected[field];
+  } else {
+    corrected[field] = next;
+  }
+  row.raw = { ...row.raw, corrected };
+  row.history = [...(row.history || []), {
+    at: new Date().toISOString(),
+    by: state.editor || 'anonymous',
+    field,
+    from: previous,
+    to: next
+  }];
+  Object.assign(row, deriveFields(effectiveNote(row), row.meta || row, state.rules));
+  rowsChanged();
+  return true;
+}
+
+function startCellEdit(cell, row) {
+  if (cell.querySelector('input')) return;
+  const field = cell.dataset.field;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'cell-input';
+  input.value = fieldValue(row, field) ?? '';
+  cell.textContent = '';
+  cell.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+    done = true;
+    if (!commit || !updateRowField(row, field, input.value)) renderTable();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+function loadRules() {
+  const stored = localStorage.getItem(RULES_KEY);
+  if (!stored) return cloneRules(DEFAULT_RULES);
+  try {
+    const rules = { ...cloneRules(DEFAULT_RULES), ...JSON.parse(stored) };
+    if (!validateRules(rules).length) return rules;
+    console.warn('Stored rules invalid, using defaults');
+  } catch (e) {
+    console.warn('Failed to parse stored rules', e);
+  }
+  return cloneRules(DEFAULT_RULES);
+}
+
+function rederiveRows() {
+  state.rows.forEach((row) => {
+    Object.assign(row, deriveFields(effectiveNote(row), row.meta || row, state.rules));
+  });
+  rowsChanged();
+}
+
+function openSettings() {
+  rulesInput.value = JSON.stringify(state.rules, null, 2);
+  rulesErrors.textContent = '';
+  accessTokenInput.value = localStorage.getItem(ACCESS_TOKEN_KEY) || '';
+  fillPreprocessForm(state.preprocess);
+  settingsModal.classList.add('show');
+}
+
+function saveRulesFromSettings() {
+  let rules;
+  try {
+    rules = JSON.parse(rulesInput.value);
+  } catch (e) {
+    rulesErrors.textContent = `Invalid JSON: ${e.message}`;
+    return;
+  }
+  const errors = validateRules(rules);
+  if (errors.length) {
+    rulesErrors.textContent = errors.join(' ');
+    return;
+  }
+  state.rules = rules;
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  rederiveRows();
+  settingsModal.classList.remove('show');
+  showToast(`Rules saved — ${state.rows.length} row(s) re-derived.`);
+}
+
+function loadPreprocess() {
+  const stored = localStorage.getItem(PREPROCESS_KEY);
+  if (!stored) return { ...DEFAULT_PREPROCESS };
+  try {
+    const options = { ...DEFAULT_PREPROCESS, ...JSON.parse(stored) };
+    if (!validatePreprocess(options).length) return options;
+    console.warn('Stored preprocessing options invalid, using defaults');
+  } catch (e) {
+    console.warn('Failed to parse stored preprocessing options', e);
+  }
+  return { ...DEFAULT_PREPROCESS };
+}
+
+function validatePreprocess(options) {
+  const errors = [];
+  if (!(options.scale >= 1 && options.scale <= 4)) errors.push('Scale must be between 1 and 4.');
+  if (!IMAGE_FORMATS.includes(options.format)) errors.push(`Format must be one of ${IMAGE_FORMATS.join(', ')}.`);
+  if (!(options.targetKB >= 0)) errors.push('Target size must be 0 (no limit) or more.');
+  return errors;
+}
+
+function fillPreprocessForm(options) {
+  Object.entries(options).forEach(([name, value]) => {
+    const input = preprocessForm.elements[name];
+    if (!input) return;
+    if (input.type === 'checkbox') input.checked = Boolean(value);
+    else input.value = value;
+  });
+  preprocessErrors.textContent = '';
+}
+
+function savePreprocessFromSettings() {
+  const { elements } = preprocessForm;
+  const options = {
+    scale: Number(elements.scale.value),
+    grayscale: elements.grayscale.checked,
+    contrast: elements.contrast.checked,
+    deskew: elements.deskew.checked,
+    rotate: elements.rotate.checked,
+    cropMargins: elements.cropMargins.checked,
+    format: elements.format.value,
+    targetKB: Number(elements.targetKB.value)
+  };
+  const errors = validatePreprocess(options);
+  if (errors.length) {
+    preprocessErrors.textContent = errors.join(' ');
+    return;
+  }
+  state.preprocess = options;
+  localStorage.setItem(PREPROCESS_KEY, JSON.stringify(options));
+  preprocessErrors.textContent = '';
+  showToast('Preprocessing saved — applies to pages extracted from now on.');
+}
+
+function saveAccessToken() {
+  const token = accessTokenInput.value.trim();
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  else localStorage.removeItem(ACCESS_TOKEN_KEY);
+  showToast(token ? 'Access token saved.' : 'Access token removed.');
+}
+
+function resetRules() {
+  rulesInput.value = JSON.stringify(DEFAULT_RULES, null, 2);
+  rulesErrors.textContent = 'Defaults loaded. Save to apply.';
+}
+
+function exportDatum(row) {
+  return row.datum_iso ? formatDatum(row.datum_iso, state.rules.dates.exportFormat) : row.datum;
+}
+
+function renderTable() {
+  const rows = filteredRows();
+  renderSummary(rows);
+  rows.sort(compareRows);
+  const columns = visibleColumns();
+  renderTableHead(columns);
+
+  const showLines = showLinesInput.checked;
+  state.tableItems = rows.flatMap((row, i) => {
+    const alt = i % 2 === 0;
+    if (!showLines || !(row.lines?.length > 1)) return [{ row, alt }];
+    return [{ row, alt }, ...row.lines.map((line, index) => ({ row, alt, line, index }))];
+  });
+  renderTableWindow();
+  const pending = state.rows.filter(needsReview).length;
+  reviewBtn.textContent = pending ? `Review (${pending})` : 'Review';
+  pushBtn.disabled = !state.rows.length;
+}
+
+// Only the rows in view, plus some overscan, are in the DOM. Spacer rows stand in for the rest so
+// the scrollbar covers the whole list; scrolling re-renders the slice. styles.css fixes one height
+// for note and line rows alike; it is measured from a rendered row in case zoom or fonts change it.
+function renderTableWindow(measure = true) {
+  const items = state.tableItems;
+  const columns = visibleColumns();
+  if (!items.length) {
+    tableBody.innerHTML = state.rows.length
+      ? `<tr class="empty-row"><td colspan="${columns.length}">No rows match the filters.</td></tr>`
+      : '';
+    return;
+  }
+  const height = state.rowHeight;
+  const viewport = resultsWrapper.clientHeight || height * 20;
+  const offset = Math.max(0, resultsWrapper.scrollTop - tableHead.offsetHeight);
+  const start = Math.min(items.length, Math.max(0, Math.floor(offset / height) - OVERSCAN_ROWS));
+  const end = Math.min(items.length, Math.ceil((offset + viewport) / height) + OVERSCAN_ROWS);
+  const spacer = (count) => (count
+    ? `<tr class="spacer" aria-hidden="true"><td colspan="${columns.length}" style="height: ${count * height}px"></td></tr>`
+    : '');
+  tableBody.innerHTML = spacer(start)
+    + items.slice(start, end).map((item) => tableItemHtml(item, columns)).join('')
+    + spacer(items.length - end);
+
+  const measured = tableBody.querySelector('tr[data-row-id]')?.getBoundingClientRect().height;
+  if (measure && measured && Math.abs(measured - height) >= 0.5) {
+    state.rowHeight = measured;
+    renderTableWindow(false);
+  }
+}
+
+function tableItemHtml(item, columns) {
+  const { row } = item;
+  const rowId = escapeHtml(row.id);
+  const safeVal = (val) => (val === null || val === undefined || val === '' ? '-' : escapeHtml(val));
+  if (item.line) {
+    const lineCells = columns.map((c) => {
+      if (c.key === 'datum') return `<td class="line-label">line ${item.index + 1}</td>`;
+      if (!LINE_FIELDS.includes(c.key)) return '<td></td>';
+      const path = `lines.${item.index}.${c.key}`;
+      const value = item.line[c.key];
+      const classes = [
+        c.editable ? 'editable' : '',
+        c.editable && isCorrected(row, path) ? 'edited' : '',
+        c.highlight && (value === null || value === '') ? 'highlight' : ''
+      ].filter(Boolean).join(' ');
+      const field = c.editable ? ` data-field="${path}"` : '';
+      return `<td${field}${classes ? ` class="${classes}"` : ''}>${safeVal(value)}</td>`;
+    }).join('');
+    return `<tr class="line-row${item.alt ? ' alt' : ''}" data-row-id="${rowId}">${lineCells}</tr>`;
+  }
+
+  const issues = row.warnings.length ? row.warnings.join(', ') : '';
+  const hasWarning = (field) => row.warnings.some((w) => w.toLowerCase().includes(field));
+  const highlightClass = (val, field) => (val === null || val === '' || hasWarning(field) ? 'highlight' : '');
+  const editedClass = (field) => (isCorrected(row, lineField(row, field)) ? 'edited' : '');
+  const multiLine = row.lines?.length > 1;
+  const cells = columns.map((c) => {
+    if (c.key === 'issues') {
+      const duplicateChip = row.duplicate ? '<span class="issue-chip danger" data-merge-group title="Review duplicates">Duplicate</span> ' : '';
+      return `<td>${duplicateChip}${issues ? `<span class="issue-chip" title="${escapeHtml(issues)}">${escapeHtml(issues)}</span>` : ''}</td>`;
+    }
+    if (c.key === 'confidence') {
+      const low = row.confidence != null && row.confidence < state.rules.review.minConfidence;
+      return `<td${low ? ' class="highlight"' : ''}>${row.confidence == null ? '-' : row.confidence.toFixed(2)}</td>`;
+    }
+    if (c.key === 'review') return `<td>${reviewChip(row)}</td>`;
+    if (c.key === 'template') return `<td>${row.template ? escapeHtml(templateName(row.template)) : '-'}</td>`;
+    const value = row[c.key];
+    // A note with several lines shows totals here; its lines are edited on their own rows.
+    const editable = c.editable && !(multiLine && LINE_FIELDS.includes(c.key));
+    const classes = [
+      editable ? 'editable' : '',
+      editable ? editedClass(c.key) : '',
+      c.highlight && !c.optional ? highlightClass(value, c.highlight) : '',
+      c.optional && hasWarning(c.key) ? 'highlight' : ''
+    ].filter(Boolean).join(' ');
+    const field = editable ? ` data-field="${c.key}"` : '';
+    return `<td${field}${classes ? ` class="${classes}"` : ''}>${safeVal(value)}</td>`;
+  }).join('');
+  const rowClasses = [
+    item.alt ? 'alt' : '',
+    row.duplicate ? 'duplicate' : '',
+    row.review ? row.review.status : '',
+    multiLine ? 'multi-line' : ''
+  ].filter(Boolean).join(' ');
+  return `<tr data-row-id="${rowId}"${rowClasses ? ` class="${rowClasses}"` : ''}>${cells}</tr>`;
+}
+
+// The header holds the sort markers and a filter row. Its markup only changes with the columns,
+// the sort or the filter options, so a filter keeps focus while the table re-renders below it.
+function renderTableHead(columns) {
+  const multiSort = state.sort.length > 1;
+  const headers = columns.map((c) => {
+    const i = state.sort.findIndex((s) => s.key === c.key);
+    const sorted = i >= 0 ? ` class="sorted ${state.sort[i].dir}"` : '';
+    const order = i >= 0 && multiSort ? `<span class="sort-order">${i + 1}</span>` : '';
+    return `<th data-key="${c.key}"${sorted} title="Click to sort, shift-click to add as a further sort">${escapeHtml(c.label)}${order}</th>`;
+  }).join('');
+  const filters = columns.map((c) => `<th class="filter-cell">${columnFilter(c.key)}</th>`).join('');
+  const html = `<tr>${headers}</tr><tr class="filter-row">${filters}</tr>`;
+  if (state.tableHeadHtml !== html) {
+    tableHead.innerHTML = html;
+    state.tableHeadHtml = html;
+  }
+  const values = { dateFrom: state.dateFrom, dateTo: state.dateTo, ...state.filters };
+  tableHead.querySelectorAll('[data-filter]').forEach((input) => {
+    input.value = values[input.dataset.filter] ?? '';
+  });
+}
+
+function columnFilter(key) {
+  const select = (filter, label, options) => `<select data-filter="${filter}" aria-label="${label}">${
+    options.map(([value, text]) => `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`).join('')
+  }</select>`;
+  if (key === 'datum') {
+    return '<input type="date" data-filter="dateFrom" aria-label="From date">'
+      + '<input type="date" data-filter="dateTo" aria-label="To date">';
+  }
+  if (key === 'unit' || key === 'pallet') {
+    const values = new Set(state.rows.flatMap((r) => rowLines(r).map((line) => line[key])).filter(Boolean));
+    if (state.filters[key]) values.add(state.filters[key]);
+    const sorted = [...values].map(String).sort(collator.compare);
+    return select(key, `Filter by ${key}`, [['', 'all'], ...sorted.map((v) => [v, v])]);
+  }
+  if (key === 'issues') {
+    return select('warnings', 'Filter by warnings', [['', 'all'], ['with', 'with warnings'], ['without', 'without warnings']]);
+  }
+  return '';
+}
+
+// A click sorts by that column alone (again to reverse it); shift-click adds the column as a
+// further sort key, or reverses it if it already is one.
+function sortBy(key, add) {
+  const current = state.sort.find((s) => s.key === key);
+  const reversed = current?.dir === 'asc' ? 'desc' : 'asc';
+  if (add) {
+    state.sort = current
+      ? state.sort.map((s) => (s === current ? { key, dir: reversed } : s))
+      : [...state.sort, { key, dir: 'asc' }];
+  } else {
+    state.sort = [{ key, dir: state.sort[0]?.key === key ? reversed : 'asc' }];
+  }
+  renderTable();
+}
+
+// Dates sort by their ISO form, numbers as numbers and text naturally ("E9" before "E10").
+// Empty values go last in either direction.
+function compareRows(a, b) {
+  for (const { key, dir } of state.sort) {
+    const va = sortValue(a, key);
+    const vb = sortValue(b, key);
+    const emptyA = va === null || va === undefined || va === '';
+    const emptyB = vb === null || vb === undefined || vb === '';
+    if (emptyA || emptyB) {
+      if (emptyA !== emptyB) return emptyA ? 1 : -1;
+      continue;
+    }
+    const order = typeof va === 'number' && typeof vb === 'number' ? va - vb : collator.compare(String(va), String(vb));
+    if (order) return dir === 'asc' ? order : -order;
+  }
+  return 0;
+}
+
+function sortValue(row, key) {
+  if (key === 'datum') return row.datum_iso;
+  if (NUMERIC_COLUMNS.includes(key)) return toNumber(row[key]);
+  if (key === 'review') return row.review?.status || (needsReview(row) ? 'pending' : '');
+  if (key === 'template') return row.template ? templateName(row.template) : '';
+  if (key === 'issues') return row.warnings.length + (row.duplicate ? 1 : 0);
+  return row[key];
+}
+
+function setDateRange(from, to) {
+  state.dateFrom = from;
+  state.dateTo = to;
+  dateFromInput.value = from;
+  dateToInput.value = to;
+  renderTable();
+}
+
+function clearFilters() {
+  state.filterTerm = '';
+  searchInput.value = '';
+  state.filters = { unit: '', pallet: '', warnings: '' };
+  setDateRange('', '');
+}
+
+function filteredRows() {
+  const { unit, pallet, warnings } = state.filters;
+  return state.rows.filter((r) => (!state.filterTerm || searchText(r).includes(state.filterTerm))
+    && (!state.dateFrom || (r.datum_iso && r.datum_iso >= state.dateFrom))
+    && (!state.dateTo || (r.datum_iso && r.datum_iso <= state.dateTo))
+    && (!unit || rowLines(r).some((line) => line.unit === unit))
+    && (!pallet || rowLines(r).some((line) => line.pallet === pallet))
+    && (!warnings || (warnings === 'with') === hasIssues(r)));
+}
+
+// What the search box looks through: the values shown in the table, the file and the warnings.
+function searchText(row) {
+  return [...EXPORT_FIELDS.map((field) => row[field]), row.fileName, row.template ? templateName(row.template) : '', ...row.warnings]
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .join('\n')
+    .toLowerCase();
+}
+
+function rowLines(row) {
+  return row.lines?.length ? row.lines : [row];
+}
+
+function hasIssues(row) {
+  return Boolean(row.warnings.length || row.duplicate);
+}
+
+function loadingMetres(pallet, places) {
+  const footprint = state.rules.pallets?.[pallet];
+  if (!footprint || places == null) return null;
+  return (places * footprint.length * footprint.width) / state.rules.trailerWidth;
+}
+
+// Totals per line item, so a note with E15 and M20 lines counts under both units; `notes`
+// counts each note once per group.
+function summarizeRows(rows, keyFn) {
+  const groups = new Map();
+  rows.flatMap(lineEntries).forEach((r) => {
+    const key = keyFn(r);
+    if (!groups.has(key)) {
+      groups.set(key, { key, noteIds: new Set(), aantal: 0, aantal2: 0, ldm: 0, ldmMissing: false, maxStack: null });
+    }
+    const group = groups.get(key);
+    group.noteIds.add(r.id);
+    group.aantal += toNumber(r.aantal) || 0;
+    group.aantal2 += r.aantal2 || 0;
+    const ldm = loadingMetres(r.pallet, r.aantal2);
+    if (ldm == null) group.ldmMissing = true;
+    else group.ldm += ldm;
+    if (r.hoogte_stack != null) group.maxStack = Math.max(group.maxStack ?? 0, r.hoogte_stack);
+  });
+  return [...groups.values()].map(({ noteIds, ...group }) => ({ ...group, notes: noteIds.size }));
+}
+
+function renderSummary(allRows) {
+  const rows = allRows.filter((r) => r.review?.status !== 'rejected');
+  const [total] = summarizeRows(rows, () => 'all');
+  const fmt = (n, digits = 0) => (n == null ? '-' : n.toLocaleString(undefined, { maximumFractionDigits: digits }));
+  const ldmText = (g) => `${fmt(g.ldm, 1)}${g.ldmMissing ? '*' : ''}`;
+  const range = state.dateFrom || state.dateTo ? ` · ${state.dateFrom || '…'} → ${state.dateTo || '…'}` : '';
+  summaryStats.innerHTML = total ? `
+    <div class="stat"><div class="label">Notes</div><div class="value">${fmt(total.notes)}</div></div>
+    <div class="stat"><div class="label">Aantal</div><div class="value">${fmt(total.aantal, 1)}</div></div>
+    <div class="stat"><div class="label">Floor places (aantal2)</div><div class="value">${fmt(total.aantal2)}</div></div>
+    <div class="stat"><div class="label">Loading metres</div><div class="value">${ldmText(total)}</div></div>
+    <div class="stat"><div class="label">Max stack height</div><div class="value">${fmt(total.maxStack)}</div></div>
+  ` : `<p>No rows match the current filter${escapeHtml(range)}.</p>`;
+
+  const table = (title, keyLabel, groups, extra = []) => `
+    <div class="summary-table">
+      <h4>${title}</h4>
+      <table>
+        <thead><tr><th>${keyLabel}</th>${extra.map((e) => `<th>${e.label}</th>`).join('')}<th>notes</th><th>aantal</th><th>aantal2</th><th>LDM</th></tr></thead>
+        <tbody>
+          ${groups.map((g) => `
+            <tr>
+              <td>${escapeHtml(g.key || '-')}</td>
+              ${extra.map((e) => `<td>${escapeHtml(e.value(g) ?? '-')}</td>`).join('')}
+              <td>${fmt(g.notes)}</td>
+              <td>${fmt(g.aantal, 1)}</td>
+              <td>${fmt(g.aantal2)}</td>
+              <td>${ldmText(g)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+  const byDate = summarizeRows(rows, (r) => r.datum_iso || r.datum)
+    .sort((a, b) => String(a.key || '').localeCompare(String(b.key || '')))
+    .map((g) => ({ ...g, key: /^\d{4}-\d{2}-\d{2}$/.test(g.key) ? formatDatum(g.key, state.rules.dates.exportFormat) : g.key }));
+  const byUnit = summarizeRows(rows, (r) => r.unit).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  const byPallet = summarizeRows(rows, (r) => r.pallet).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  const palletOf = new Map(rows.flatMap(lineEntries).map((r) => [r.unit, r.pallet]));
+  summaryTables.innerHTML = rows.length ? [
+    table('Per date', 'datum', byDate, [{ label: 'max stack', value: (g) => g.maxStack }]),
+    table('Per unit', 'unit', byUnit, [{ label: 'pallet', value: (g) => palletOf.get(g.key) }]),
+    table('Per pallet type', 'pallet', byPallet)
+  ].join('') : '';
+  const anyMissing = [total, ...byPallet].some((g) => g?.ldmMissing);
+  summaryNote.textContent = anyMissing
+    ? '* Some rows have no aantal2 or no footprint for their pallet type (see Settings → pallets); they are left out of LDM.'
+    : '';
+}
+
+async function loadOrders(file) {
+  ordersInput.value = '';
+  if (!file) return;
+  let parsed;
+  try {
+    parsed = parseOrdersCsv(await file.text());
+  } catch (err) {
+    showToast(`Could not read ${file.name}: ${err.message}`);
+    return;
+  }
+  if (!parsed.orders.length) {
+    showToast(`No usable orders in ${file.name}.`);
+    return;
+  }
+  state.orders = { fileName: file.name, loadedAt: new Date().toISOString(), orders: parsed.orders };
+  saveRows();
+  updateReconciliation();
+  const skipped = parsed.skipped.length ? ` Skipped line(s) ${parsed.skipped.slice(0, 5).join(', ')}${parsed.skipped.length > 5 ? '…' : ''} (no valid date, unit or quantity).` : '';
+  showToast(`Loaded ${parsed.orders.length} order(s) from ${file.name}.${skipped}`);
+}
+
+function clearOrders() {
+  state.orders = null;
+  saveRows();
+  updateReconciliation();
+}
+
+// Reconciliation depends on the rows and the orders only, not on the table's search and filters,
+// so it is worked out again when either changes (see rowsChanged) rather than on every render.
+function updateReconciliation() {
+  state.reconciliation = state.orders ? reconciliationLines(reconcile(state.orders.orders, state.rows)) : [];
+  renderReconciliation();
+}
+
+function renderReconciliation() {
+  exportReconcileBtn.disabled = !state.orders;
+  clearOrdersBtn.disabled = !state.orders;
+  if (!state.orders) {
+    reconcileStats.innerHTML = '';
+    reconcileTable.innerHTML = '';
+    return;
+  }
+  const lines = state.reconciliation;
+  const count = (status) => lines.filter((l) => l.status === status).length;
+  const fmt = (n) => (n == null ? '-' : n.toLocaleString(undefined, { maximumFractionDigits: 3 }));
+  reconcileStats.innerHTML = `
+    <div class="stat"><div class="label">Orders (${escapeHtml(state.orders.fileName)})</div><div class="value">${state.orders.orders.length}</div></div>
+    ${RECONCILE_STATUSES.map((status) => `<div class="stat"><div class="label">${status}</div><div class="value">${count(status)}</div></div>`).join('')}
+  `;
+  reconcileTable.innerHTML = `
+    <table>
+      <thead><tr><th>status</th><th>reference</th><th>datum</th><th>unit</th><th>expected</th><th>delivered</th><th>difference</th><th>notes</th></tr></thead>
+      <tbody>
+        ${lines.map((l) => `
+          <tr${l.rowId ? ` data-row-id="${escapeHtml(l.rowId)}"` : ''}>
+            <td><span class="recon-chip ${l.status}">${l.status}</span></td>
+            <td>${escapeHtml(l.reference || '-')}</td>
+            <td>${escapeHtml(l.datum_iso ? formatDatum(l.datum_iso, state.rules.dates.exportFormat) : l.datum || '-')}</td>
+            <td>${escapeHtml(l.unit || '-')}</td>
+            <td>${fmt(l.expected)}</td>
+            <td>${fmt(l.delivered)}</td>
+            <td>${l.difference > 0 ? '+' : ''}${fmt(l.difference)}</td>
+            <td>${escapeHtml(l.sources || '-')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function exportReconciliation() {
+  if (!state.orders) return;
+  const lines = state.reconciliation;
+  const headers = ['status', 'reference', 'datum', 'unit', 'expected', 'delivered', 'difference', 'notes'];
+  const csv = [headers.join(',')];
+  lines.forEach((l) => {
+    const datum = l.datum_iso ? formatDatum(l.datum_iso, state.rules.dates.exportFormat) : l.datum;
+    csv.push([l.status, l.reference, datum, l.unit, l.expected, l.delivered, l.difference, l.sources].map(formatCsvValue).join(','));
+  });
+  downloadFile(csv.join('\n'), 'cmr-reconciliation.csv', 'text/csv;charset=utf-8;');
+}
+
+function visibleColumns() {
+  return COLUMNS.filter((c) => state.visibleColumns.includes(c.key));
+}
+
+function loadVisibleColumns() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_KEY));
+    if (Array.isArray(stored)) return stored.filter((key) => COLUMNS.some((c) => c.key === key));
+  } catch (e) {
+    console.warn('Failed to parse stored columns', e);
+  }
+  return DEFAULT_VISIBLE_COLUMNS;
+}
+
+function renderColumnsMenu() {
+  columnsMenu.innerHTML = COLUMNS.map((c) => `
+    <label>
+      <input type="checkbox" data-column="${c.key}" ${state.visibleColumns.includes(c.key) ? 'checked' : ''}>
+      ${c.label}
+    </label>
+  `).join('');
+}
+
+function renderIssuesPanel() {
+  const allWarnings = state.rows.flatMap((r) => r.warnings.map((w) => `${r.fileName} p${r.pageIndex}: ${w}`));
+  const shown = allWarnings.slice(0, ISSUES_PANEL_LIMIT);
+  const more = allWarnings.length > shown.length ? ` | … and ${allWarnings.length - shown.length} more` : '';
+  issuesPanel.textContent = allWarnings.length ? shown.join(' | ') + more : 'No warnings.';
+}
+
+// Rejected rows never leave the app; "Verified rows only" narrows exports to accepted rows.
+function exportRows() {
+  const rows = state.rows.filter((r) => r.review?.status !== 'rejected');
+  if (!verifiedOnlyInput.checked) return rows;
+  return rows.filter((r) => r.review?.status === 'verified');
+}
+
+// Rows for CSV/TSV/XLSX in the chosen layout: one per note (notes with several lines show their
+// totals) or one per line item, repeating the note's fields.
+function exportRecords(rows) {
+  return exportLayoutSelect.value === 'line' ? rows.flatMap(lineEntries) : rows;
+}
+
+function exportHeaders() {
+  return exportLayoutSelect.value === 'line' ? [...EXPORT_FIELDS, 'line'] : EXPORT_FIELDS;
+}
+
+function exportCsv() {
+  const rows = exportRecords(exportRows());
+  if (!rows.length) {
+    showToast('No rows to export.');
+    return;
+  }
+  const headers = exportHeaders();
+  const lines = [headers.join(',')];
+  rows.forEach((r) => {
+    const values = headers.map((h) => formatCsvValue(h === 'datum' ? exportDatum(r) : r[h]));
+    lines.push(values.join(','));
+  });
+  downloadFile(lines.join('\n'), 'cmr-notes.csv', 'text/csv;charset=utf-8;');
+}
+
+function exportAuditLog() {
+  const entries = state.rows.flatMap((r) => (r.history || []).map((h) => ({
+    fileName: r.fileName,
+    pageIndex: r.pageIndex,
+    noteIndex: r.noteIndex,
+    ...h
+  })));
+  if (!entries.length) {
+    showToast('No corrections recorded yet.');
+    return;
+  }
+  const headers = ['fileName','pageIndex','noteIndex','field','from','to','by','at','source'];
+  const lines = [headers.join(',')];
+  entries.forEach((entry) => {
+    lines.push(headers.map((h) => formatCsvValue(entry[h])).join(','));
+  });
+  downloadFile(lines.join('\n'), 'cmr-audit-log.csv', 'text/csv;charset=utf-8;');
+}
+
+function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function copyTsv() {
+  const rows = exportRecords(exportRows());
+  if (!rows.length) {
+    showToast('No rows to copy.');
+    return;
+  }
+  const headers = exportHeaders();
+  const lines = [headers.join('\t')];
+  rows.forEach((r) => {
+    const values = headers.map((h) => (h === 'datum' ? exportDatum(r) : r[h] ?? ''));
+    lines.push(values.join('\t'));
+  });
+  await navigator.clipboard.writeText(lines.join('\n'));
+  showToast('Copied TSV to clipboard');
+}
+
+async function exportXlsx() {
+  const rows = exportRows();
+  if (!rows.length) {
+    showToast('No rows to export.');
+    return;
+  }
+  const ok = await ensureXlsx();
+  if (!ok) {
+    showToast('XLSX library not loaded. Check your connection and retry.');
+    return;
+  }
+  const workbook = XLSX.utils.book_new();
+  const dateOptions = { cellDates: true, dateNF: state.rules.dates.exportFormat.toLowerCase() };
+
+  const dataHeaders = [...exportHeaders(), 'fileName', 'pageIndex', 'noteIndex', 'pages', 'template', 'confidence', 'review', 'reviewed_by', 'duplicate', 'warnings'];
+  const dataRows = exportRecords(rows).map((r) => dataHeaders.map((h) => {
+    if (h === 'datum') return isoToDate(r.datum_iso) || r.datum || null;
+    if (h === 'aantal') return toNumber(r.aantal) ?? (r.aantal || null);
+    if (h === 'confidence') return r.confidence ?? null;
+    if (h === 'review') return r.review?.status || null;
+    if (h === 'reviewed_by') return r.review?.by || null;
+    if (h === 'duplicate') return Boolean(r.duplicate);
+    if (h === 'pages') return rowPages(r);
+    if (h === 'warnings') return r.warnings.join('; ');
+    return r[h] ?? null;
+  }));
+  const dataSheet = XLSX.utils.aoa_to_sheet([dataHeaders, ...dataRows], dateOptions);
+  dataSheet['!cols'] = dataHeaders.map((h) => ({ wch: h === 'warnings' ? 60 : Math.max(10, h.length + 2) }));
+  XLSX.utils.book_append_sheet(workbook, dataSheet, 'Data');
+
+  const groups = new Map();
+  rows.flatMap(lineEntries).forEach((r) => {
+    const key = `${r.datum_iso || r.datum}|${r.unit}`;
+    if (!groups.has(key)) {
+      groups.set(key, { datum: r.datum, datum_iso: r.datum_iso, unit: r.unit, pallet: r.pallet, noteIds: new Set(), aantal: 0, aantal2: 0 });
+    }
+    const group = groups.get(key);
+    group.noteIds.add(r.id);
+    group.aantal += toNumber(r.aantal) || 0;
+    group.aantal2 += r.aantal2 || 0;
+  });
+  const summaryRows = [...groups.values()]
+    .sort((a, b) => String(a.datum_iso || a.datum).localeCompare(String(b.datum_iso || b.datum)) || a.unit.localeCompare(b.unit))
+    .map((g) => [isoToDate(g.datum_iso) || g.datum || null, g.unit || null, g.pallet, g.noteIds.size, g.aantal, g.aantal2]);
+  const summarySheet = XLSX.utils.aoa_to_sheet([['datum', 'unit', 'pallet', 'notes', 'aantal', 'aantal2'], ...summaryRows], dateOptions);
+  summarySheet['!cols'] = [{ wch: 12 }, { wch: 8 }, { wch: 8 }, { wch: 8 }, { wch: 10 }, { wch: 10 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+  const issueRows = rows.flatMap((r) => {
+    const issues = [...r.warnings];
+    if (r.duplicate) issues.push('Possible duplicate of another note.');
+    return issues.map((issue) => [r.fileName, r.pageIndex, isoToDate(r.datum_iso) || r.datum || null, r.unit || null, toNumber(r.aantal) ?? (r.aantal || null), issue]);
+  });
+  const issuesSheet = XLSX.utils.aoa_to_sheet([['fileName', 'pageIndex', 'datum', 'unit', 'aantal', 'issue'], ...issueRows], dateOptions);
+  issuesSheet['!cols'] = [{ wch: 28 }, { wch: 10 }, { wch: 12 }, { wch: 8 }, { wch: 10 }, { wch: 60 }];
+  XLSX.utils.book_append_sheet(workbook, issuesSheet, 'Issues');
+
+  if (state.orders) {
+    const lines = state.reconciliation;
+    const reconcileRows = lines.map((l) => [l.status, l.reference || null, isoToDate(l.datum_iso) || l.datum || null, l.unit || null, l.expected, l.delivered, l.difference, l.sources]);
+    const reconcileSheet = XLSX.utils.aoa_to_sheet([['status', 'reference', 'datum', 'unit', 'expected', 'delivered', 'difference', 'notes'], ...reconcileRows], dateOptions);
+    reconcileSheet['!cols'] = [{ wch: 12 }, { wch: 16 }, { wch: 12 }, { wch: 8 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 60 }];
+    XLSX.utils.book_append_sheet(workbook, reconcileSheet, 'Reconciliation');
+  }
+
+  XLSX.writeFile(workbook, 'cmr-notes.xlsx');
+}
+
+async function clearAll() {
+  if (state.inProgress) {
+    showToast('Wait for extraction to finish before clearing the batch.');
+    return;
+  }
+  resetSession();
+  state.serverJobs = state.serverJobs.filter((job) => job.batchId !== state.batch?.id);
+  saveServerJobs();
+  if (state.batch) {
+    await dbDeleteBatchItems('files', state.batch.id).catch((err) => console.error(err));
+    await dbDeleteBatchItems('pages', state.batch.id).catch((err) => console.error(err));
+  }
+  saveRows();
+  updateReconciliation();
+  renderTable();
+  renderIssuesPanel();
+  renderFileList();
+  updateActionButtons();
+  progressText.textContent = 'Idle — no files yet';
+  showToast(`Cleared batch "${state.batch?.name || ''}"`);
+}
+
+function updateProgress() {
+  const total = state.totalPages || 1;
+  const pct = Math.min(100, Math.round((state.processedPages / total) * 100));
+  progressFill.style.width = `${pct}%`;
+  const fileTotal = state.filePageTotals[state.currentFileIndex - 1] || state.currentPageTotal || 1;
+  const page = Math.min(state.currentPage, fileTotal);
+  const cached = state.cacheHits ? ` · ${state.cacheHits} from cache` : '';
+  progressText.textContent = state.inProgress
+    ? `Processing: file ${state.currentFileIndex}/${state.files.length || 1} — page ${page}/${fileTotal} (${pct}%)${cached}`
+    : 'Idle — no files yet';
+}
+
+function showToast(message) {
+  toast.textContent = message;
+  toast.classList.add('show');
+  setTimeout(() => toast.classList.remove('show'), 2800);
+}
+
+function showDetails(row) {
+  const editable = (editedField) => {
+    const field = lineField(row, editedField);
+    const corrected = isCorrected(row, field);
+    const original = corrected ? `<div class="original">Model: ${escapeHtml(fieldValue(row.raw, field) || '-')}</div>` : '';
+    return `<input type="text" class="value-input${corrected ? ' edited' : ''}" data-field="${field}" value="${escapeHtml(fieldValue(row, field) ?? '')}">${original}`;
+  };
+  const multiLine = row.lines?.length > 1;
+  const pairs = [
+    ['Filename', escapeHtml(row.fileName)],
+    ['Page #', escapeHtml(row.sources ? rowPages(row) : row.pageIndex)],
+    ['Datum', editable('datum')],
+    ['Aantal (raw)', multiLine ? `${escapeHtml(row.aantal || '-')} (total of ${row.lines.length} lines)` : editable('aantal')],
+    ['Unit', multiLine ? escapeHtml(row.unit || '-') : editable('unit')],
+    ['Hoogte enkel', row.hoogte_enkel ?? '-'],
+    ['Hoogte stack', row.hoogte_stack ?? '-'],
+    ['Aantal2', row.aantal2 ?? '-'],
+    ['Pallet', escapeHtml(row.pallet)],
+    ...HEADER_FIELDS.map((f) => [f.label, editable(f.key)]),
+    ['Template', row.template ? escapeHtml(templateName(row.template)) : 'Not detected'],
+    ['Confidence', row.confidence == null ? '-' : row.confidence.toFixed(2)],
+    ['Warnings', row.warnings.length ? escapeHtml(row.warnings.join(', ')) : 'None']
+  ];
+  const lineItems = multiLine ? `
+    <div class="cell line-items">
+      <div class="label">Line items</div>
+      <table class="line-table">
+        <thead><tr><th>#</th>${LINE_FIELDS.map((f) => `<th>${f}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${row.lines.map((line, i) => `
+            <tr>
+              <td>${i + 1}</td>
+              ${LINE_FIELDS.map((f) => `<td>${['aantal', 'unit'].includes(f) ? editable(`lines.${i}.${f}`) : escapeHtml(line[f] ?? '-')}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  ` : '';
+  const history = (row.history || []).slice().reverse().map((h) => `
+    <li>${escapeHtml(formatTimestamp(h.at))} — ${escapeHtml(h.by)}: ${escapeHtml(h.field)} ${escapeHtml(h.from || '-')} → ${escapeHtml(h.to || '-')}</li>
+  `).join('');
+  renderPagePreview(row);
+  renderReviewBar(row);
+  detailsGrid.dataset.rowId = row.id;
+  detailsGrid.innerHTML = pairs.map(([label, value]) => `
+    <div class="cell">
+      <div class="label">${label}</div>
+      <div class="value">${value}</div>
+    </div>
+  `).join('') + lineItems + `
+    <div class="cell history">
+      <div class="label">History</div>
+      ${history ? `<ul class="history-list">${history}</ul>` : '<div class="value">No corrections.</div>'}
+    </div>
+  `;
+  detailsModal.classList.add('show');
+}
+
+function closeDetails() {
+  state.review = null;
+  detailsModal.classList.remove('show');
+}
+
+function needsReview(row) {
+  return !row.review && (row.warnings.length > 0 || row.duplicate);
+}
+
+function reviewChip(row) {
+  if (row.review?.status === 'verified') return '<span class="review-chip verified">verified</span>';
+  if (row.review?.status === 'rejected') return '<span class="review-chip rejected">rejected</span>';
+  return needsReview(row) ? '<span class="review-chip pending">needs review</span>' : '';
+}
+
+// The queue is fixed when review starts, so stepping back reaches rows already handled.
+function startReview() {
+  const queue = state.rows
+    .filter(needsReview)
+    .sort((a, b) => String(a.fileName).localeCompare(String(b.fileName))
+      || a.pageIndex - b.pageIndex
+      || (a.noteIndex || 0) - (b.noteIndex || 0));
+  if (!queue.length) {
+    showToast('Nothing needs review.');
+    return;
+  }
+  state.review = { ids: queue.map((r) => r.id), index: 0 };
+  showReviewRow();
+}
+
+function showReviewRow() {
+  const row = state.rows.find((r) => r.id === state.review.ids[state.review.index]);
+  if (!row) {
+    state.review.ids.splice(state.review.index, 1);
+    if (!state.review.ids.length) {
+      closeDetails();
+      return;
+    }
+    state.review.index = Math.min(state.review.index, state.review.ids.length - 1);
+    showReviewRow();
+    return;
+  }
+  showDetails(row);
+}
+
+function renderReviewBar(row) {
+  const position = state.review
+    ? `<span class="review-position">Review ${state.review.index + 1} / ${state.review.ids.length}</span>`
+    : '';
+  const nav = (action, label) => (state.review ? `<button class="ghost" data-review-action="${action}">${label}</button>` : '');
+  const reviewed = row.review
+    ? ` · ${escapeHtml(row.review.status)} by ${escapeHtml(row.review.by)}, ${escapeHtml(formatTimestamp(row.review.at))}`
+    : '';
+  reviewBar.innerHTML = `
+    <div class="review-status">
+      ${position}
+      ${reviewChip(row)}
+      <span>confidence ${row.confidence == null ? '-' : row.confidence.toFixed(2)}${reviewed}</span>
+    </div>
+    <div class="review-actions">
+      ${nav('prev', '← Prev')}
+      <button class="primary" data-review-action="accept">Accept</button>
+      <button class="ghost" data-review-action="edit">Edit</button>
+      <button class="danger" data-review-action="reject">Reject</button>
+      ${nav('next', 'Next →')}
+    </div>
+    ${state.review ? '<div class="review-keys">←/→ or K/J move · A accept · E edit · R reject · Esc close</div>' : ''}
+  `;
+}
+
+function reviewAction(action) {
+  const row = state.rows.find((r) => r.id === detailsGrid.dataset.rowId);
+  if (!row) return;
+  if (action === 'prev' || action === 'next') {
+    moveReview(action === 'next' ? 1 : -1);
+    return;
+  }
+  if (action === 'edit') {
+    detailsGrid.querySelector('input[data-field]')?.focus();
+    return;
+  }
+  setReviewStatus(row, action === 'accept' ? 'verified' : 'rejected');
+  if (state.review) moveReview(1);
+  else showDetails(row);
+}
+
+function moveReview(step) {
+  if (!state.review) return;
+  const next = state.review.index + step;
+  if (next < 0) return;
+  if (next >= state.review.ids.length) {
+    closeDetails();
+    const left = state.rows.filter(needsReview).length;
+    showToast(left ? `End of review queue — ${left} row(s) still need review.` : 'Review queue done.');
+    return;
+  }
+  state.review.index = next;
+  showReviewRow();
+}
+
+function setReviewStatus(row, status) {
+  const previous = row.review?.status || '';
+  if (previous === status) return;
+  const at = new Date().toISOString();
+  const by = state.editor || 'anonymous';
+  row.review = { status, by, at };
+  row.history = [...(row.history || []), { at, by, field: 'review', from: previous, to: status }];
+  rowsChanged();
+}
+
+function handleReviewKey(e) {
+  if (!detailsModal.classList.contains('show')) return;
+  if (e.key === 'Escape') {
+    closeDetails();
+    return;
+  }
+  if (!state.review || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.matches?.('input, textarea, select')) {
+    if (e.key === 'Enter') e.target.blur();
+    return;
+  }
+  const actions = {
+    ArrowRight: 'next', j: 'next', ArrowLeft: 'prev', k: 'prev', a: 'accept', e: 'edit', r: 'reject'
+  };
+  const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+  if (!action) return;
+  e.preventDefault();
+  reviewAction(action);
+}
+
+function renderPagePreview(row) {
+  const url = state.pageImages.get(pageKey(row.meta || row));
+  if (!url) {
+    pagePreview.innerHTML = '<p class="preview-empty">Page preview not available for this row.</p>';
+    return;
+  }
+  const regions = row.raw?.regions || {};
+  // Line regions of a stitched note partly belong to later pages, so only single-page notes show them.
+  const lines = row.raw && !row.parts ? noteLines(row.raw) : [];
+  const boxes = [
+    ...['note', 'aantal', 'unit', 'datum'].filter((key) => regions[key]).map((key) => [key, key, regions[key]]),
+    ...lines.flatMap((line, i) => ['aantal', 'unit']
+      .filter((key) => line.regions?.[key])
+      .map((key) => [key, lines.length > 1 ? `line ${i + 1} ${key}` : key, line.regions[key]]))
+  ]
+    .map(([key, title, { x, y, width, height }]) => `<div class="region region-${key}" title="${title}" style="left:${x * 100}%;top:${y * 100}%;width:${width * 100}%;height:${height * 100}%"></div>`)
+    .join('');
+  pagePreview.innerHTML = `
+    <div class="preview-frame">
+      <img src="${url}" alt="Page ${row.pageIndex} of ${escapeHtml(row.fileName)}">
+      ${boxes}
+    </div>
+    <div class="region-legend">
+      <span class="legend-note">note</span>
+      <span class="legend-aantal">aantal</span>
+      <span class="legend-unit">unit</span>
+      <span class="legend-datum">datum</span>
+    </div>
+  `;
+}
+
+function formatTimestamp(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? iso : date.toLocaleString();
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        const db = request.result;
+        if (e.oldVersion < 1) {
+          db.createObjectStore('batches', { keyPath: 'id' });
+          db.createObjectStore('batchData', { keyPath: 'batchId' });
+          db.createObjectStore('files', { keyPath: 'id' }).createIndex('batchId', 'batchId');
+          db.createObjectStore('pages', { keyPath: 'key' }).createIndex('batchId', 'batchId');
+        }
+        if (e.oldVersion < 2) db.createObjectStore('results', { keyPath: 'hash' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function dbRun(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function dbGet(storeName, key) {
+  return dbRun(storeName, 'readonly', (store) => store.get(key));
+}
+
+function dbGetAll(storeName, batchId) {
+  return dbRun(storeName, 'readonly', (store) => (
+    batchId === undefined ? store.getAll() : store.index('batchId').getAll(batchId)
+  ));
+}
+
+function dbPut(storeName, value) {
+  return dbRun(storeName, 'readwrite', (store) => store.put(value));
+}
+
+function dbDelete(storeName, key) {
+  return dbRun(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+function dbDeleteBatchItems(storeName, batchId) {
+  return dbRun(storeName, 'readwrite', (store) => {
+    const request = store.index('batchId').openCursor(IDBKeyRange.only(batchId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  });
+}
+
+async function initBatches() {
+  try {
+    await openDb();
+    state.batches = await dbGetAll('batches');
+    await migrateLegacyRows();
+    if (!state.batches.length) await createBatch(defaultBatchName());
+    const stored = localStorage.getItem(CURRENT_BATCH_KEY);
+    const current = state.batches.find((b) => b.id === stored) || newestBatch();
+    await loadBatch(current.id);
+  } catch (err) {
+    console.error(err);
+    state.batch = null;
+    showToast('Browser storage unavailable — results will not be kept after reload.');
+  }
+  renderBatchControls();
+}
+
+async function migrateLegacyRows() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (!stored) return;
+  let rows;
+  try {
+    rows = JSON.parse(stored);
+  } catch (e) {
+    console.warn('Failed to parse stored rows', e);
+    return;
+  }
+  if (Array.isArray(rows) && rows.length) {
+    const batch = await createBatch('Imported from previous version');
+    await dbPut('batchData', { batchId: batch.id, rows, tasks: [] });
+    await dbPut('batches', { ...batch, rowCount: rows.length });
+    state.batches = state.batches.map((b) => (b.id === batch.id ? { ...b, rowCount: rows.length } : b));
+  }
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+async function createBatch(name) {
+  const now = new Date().toISOString();
+  const batch = { id: uniqueId(), name, createdAt: now, updatedAt: now, rowCount: 0, fileCount: 0 };
+  await dbPut('batches', batch);
+  await dbPut('batchData', { batchId: batch.id, rows: [], tasks: [] });
+  state.batches = [...state.batches, batch];
+  return batch;
+}
+
+function defaultBatchName() {
+  return `Batch ${new Date().toLocaleDateString()}`;
+}
+
+function newestBatch() {
+  return [...state.batches].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+}
+
+async function loadBatch(batchId) {
+  const batch = state.batches.find((b) => b.id === batchId);
+  const data = (await dbGet('batchData', batchId)) || { rows: [], tasks: [], fileTemplates: [] };
+  const files = (await dbGetAll('files', batchId)).sort((a, b) => a.fileIndex - b.fileIndex);
+  const pages = await dbGetAll('pages', batchId);
+
+  resetSession();
+  state.batch = batch;
+  localStorage.setItem(CURRENT_BATCH_KEY, batch.id);
+  state.rows = data.rows || [];
+  state.orders = data.orders || null;
+  state.deliveries = (data.deliveries || []).map((d) => (d.status === 'sending' ? { ...d, status: 'failed', error: 'Interrupted by a page reload' } : d));
+  state.rows.forEach((r) => {
+    r.history = r.history || [];
+    if (!('confidence' in r) && r.raw) Object.assign(r, deriveFields(effectiveNote(r), r.meta || r, state.rules));
+    rowParts(r).forEach((part) => state.dedupe.add(dedupeKey(part.raw || r, part.meta || r)));
+  });
+  detectDuplicates();
+  state.files = files.map((f) => new File([f.blob], f.name, { type: f.type }));
+  state.fileTemplates = files.map((_, i) => data.fileTemplates?.[i] || AUTO_TEMPLATE);
+  state.tasks = (data.tasks || []).map((task) => (task.status === 'running' ? { ...task, status: 'pending' } : task));
+  state.tasks.forEach((task) => {
+    state.filePageTotals[task.fileIndex] = task.pageCount;
+  });
+  (data.remoteFiles || []).forEach((i) => state.remoteFiles.add(i));
+  markRemoteFiles();
+  pages.forEach((page) => {
+    // Pages stored before they carried their file index belong to the first file of that name.
+    const fileIndex = page.fileIndex ?? files.find((f) => f.name === page.fileName)?.fileIndex;
+    state.pageImages.set(pageKey({ ...page, fileIndex }), URL.createObjectURL(page.blob));
+  });
+
+  updateReconciliation();
+  renderTable();
+  renderIssuesPanel();
+  renderFileList();
+  renderDeliveryLog();
+  updateActionButtons();
+  offerResume();
+  progressText.textContent = state.files.length ? `${state.files.length} file(s) in batch.` : 'Idle — no files yet';
+}
+
+function resetSession() {
+  state.rows = [];
+  state.orders = null;
+  state.deliveries = [];
+  state.dedupe.clear();
+  state.files = [];
+  state.fileTemplates = [];
+  state.tasks = [];
+  state.sources.clear();
+  state.remoteFiles.clear();
+  state.filePageTotals = [];
+  clearPageImages();
+}
+
+async function switchBatch(batchId) {
+  if (batchId === state.batch?.id) return;
+  if (state.inProgress) {
+    showToast('Wait for extraction to finish before switching batches.');
+    renderBatchControls();
+    return;
+  }
+  await flushBatch();
+  await loadBatch(batchId);
+  renderBatchControls();
+}
+
+async function startNewBatch() {
+  if (state.inProgress) {
+    showToast('Wait for extraction to finish before starting a new batch.');
+    return;
+  }
+  const name = batchNameInput.value.trim() || defaultBatchName();
+  await flushBatch();
+  const batch = await createBatch(name);
+  batchNameInput.value = '';
+  await loadBatch(batch.id);
+  renderBatchControls();
+  showToast(`Started batch "${name}".`);
+}
+
+async function renameCurrentBatch() {
+  const name = batchNameInput.value.trim();
+  if (!state.batch || !name) {
+    showToast('Type a new name first.');
+    return;
+  }
+  state.batch = { ...state.batch, name };
+  state.batches = state.batches.map((b) => (b.id === state.batch.id ? state.batch : b));
+  await dbPut('batches', state.batch);
+  batchNameInput.value = '';
+  renderBatchControls();
+}
+
+async function deleteBatch(batchId) {
+  const batch = state.batches.find((b) => b.id === batchId);
+  if (!batch) return;
+  if (batchId === state.batch?.id && state.inProgress) {
+    showToast('Wait for extraction to finish before deleting this batch.');
+    return;
+  }
+  if (!confirm(`Delete batch "${batch.name}" with its ${batch.rowCount || 0} row(s) and files?`)) return;
+  await dbDelete('batches', batchId);
+  await dbDelete('batchData', batchId);
+  await dbDeleteBatchItems('files', batchId);
+  await dbDeleteBatchItems('pages', batchId);
+  state.batches = state.batches.filter((b) => b.id !== batchId);
+  if (batchId === state.batch?.id) {
+    state.batch = null;
+    if (!state.batches.length) await createBatch(defaultBatchName());
+    await loadBatch(newestBatch().id);
+  }
+  renderBatchControls();
+}
+
+function saveRows() {
+  if (!state.batch) return;
+  batchDirty = true;
+  if (!batchSaving) batchSaving = flushBatch();
+}
+
+// Coalesces saves: while one write is in flight, later changes are written once it finishes.
+async function flushBatch() {
+  if (batchSaving && !batchDirty) return batchSaving;
+  while (batchDirty && state.batch) {
+    batchDirty = false;
+    const batch = {
+      ...state.batch,
+      updatedAt: new Date().toISOString(),
+      rowCount: state.rows.length,
+      fileCount: state.files.length
+    };
+    state.batch = batch;
+    state.batches = state.batches.map((b) => (b.id === batch.id ? batch : b));
+    try {
+      await dbPut('batchData', {
+        batchId: batch.id,
+        rows: state.rows,
+        tasks: state.tasks,
+        fileTemplates: state.fileTemplates,
+        remoteFiles: [...state.remoteFiles],
+        orders: state.orders,
+        deliveries: state.deliveries
+      });
+      await dbPut('batches', batch);
+    } catch (err) {
+      console.error(err);
+      showToast('Could not save the batch to browser storage.');
+    }
+  }
+  batchSaving = null;
+  renderBatchControls();
+  return undefined;
+}
+
+function storeBatchFiles(files, firstIndex) {
+  if (!state.batch) return;
+  const batchId = state.batch.id;
+  files.forEach((file, i) => {
+    const fileIndex = firstIndex + i;
+    dbPut('files', { id: `${batchId}|${fileIndex}`, batchId, fileIndex, name: file.name, type: file.type, blob: file })
+      .catch((err) => console.error('Failed to store file', err));
+  });
+}
+
+function storeBatchPage(meta, blob) {
+  if (!state.batch) return;
+  const batchId = state.batch.id;
+  dbPut('pages', { key: `${batchId}|${pageKey(meta)}`, batchId, fileIndex: meta.fileIndex, fileName: meta.fileName, pageIndex: meta.pageIndex, blob })
+    .catch((err) => console.error('Failed to store page image', err));
+}
+
+function renderBatchControls() {
+  batchSelect.innerHTML = state.batches
+    .slice()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((b) => `<option value="${b.id}" ${b.id === state.batch?.id ? 'selected' : ''}>${escapeHtml(b.name)}</option>`)
+    .join('');
+  batchSelect.disabled = !state.batches.length;
+  if (!batchHistory.classList.contains('show')) return;
+  batchHistory.innerHTML = state.batches.length ? `
+    <table>
+      <thead><tr><th>batch</th><th>created</th><th>updated</th><th>rows</th><th>files</th><th></th></tr></thead>
+      <tbody>
+        ${state.batches.slice().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).map((b) => `
+          <tr${b.id === state.batch?.id ? ' class="current"' : ''}>
+            <td>${escapeHtml(b.name)}</td>
+            <td>${escapeHtml(formatTimestamp(b.createdAt))}</td>
+            <td>${escapeHtml(formatTimestamp(b.updatedAt))}</td>
+            <td>${b.rowCount || 0}</td>
+            <td>${b.fileCount || 0}</td>
+            <td class="batch-actions">
+              <button class="ghost" data-batch-action="open" data-batch-id="${escapeHtml(b.id)}" ${b.id === state.batch?.id ? 'disabled' : ''}>Open</button>
+              <button class="danger" data-batch-action="delete" data-batch-id="${escapeHtml(b.id)}">Delete</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  ` : 'No batches yet.';
+}
+
+// A redelivery reuses the delivery id so the receiver can recognise it, but sends the rows as
+// they are now. Parts are sent one after another and the push stops at the first that fails;
+// sending again repeats the parts already delivered, which the receiver drops by delivery id.
+async function pushBatch(redeliverId) {
+  if (!state.batch) return;
+  const rows = exportRows();
+  if (!rows.length) {
+    showToast('No rows to push.');
+    return;
+  }
+  const batchId = state.batch.id;
+  const previous = state.deliveries.find((d) => d.id === redeliverId);
+  if (previous?.status === 'sending') return;
+  const delivery = previous || { id: uniqueId(), attempts: [] };
+  Object.assign(delivery, { at: new Date().toISOString(), status: 'sending', rows: rows.length, by: state.editor, error: '' });
+  state.deliveries = [delivery, ...state.deliveries.filter((d) => d !== delivery)].slice(0, DELIVERY_LOG_SIZE);
+  renderDeliveryLog();
+  saveRows();
+
+  try {
+    const parts = pushParts(rows.map(pushRow));
+    for (const [i, part] of parts.entries()) {
+      const res = await apiFetch('/api/push', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          deliveryId: delivery.id,
+          batch: { id: batchId, name: state.batch.name },
+          part: i + 1,
+          parts: parts.length,
+          rows: part
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (Array.isArray(data.attempts)) delivery.attempts = [...delivery.attempts, ...data.attempts];
+      if (!res.ok) {
+        const last = data.attempts?.[data.attempts.length - 1];
+        const reason = last ? `Receiver answered ${last.status || 'nothing'}${last.error ? `: ${last.error}` : ''}` : describeApiError(res.status, data.error || res.statusText);
+        throw new Error(parts.length > 1 ? `Part ${i + 1} of ${parts.length}: ${reason}` : reason);
+      }
+    }
+    delivery.status = 'delivered';
+    showToast(`Pushed ${rows.length} row(s) to the ERP.`);
+  } catch (err) {
+    console.error(err);
+    delivery.status = 'failed';
+    delivery.error = err.message;
+    showToast(`Push failed: ${err.message}`);
+  }
+  if (state.batch?.id === batchId) {
+    renderDeliveryLog();
+    saveRows();
+  }
+}
+
+// Splits push records into parts of at most PUSH_PART_ROWS rows and about PUSH_PART_BYTES of JSON.
+function pushParts(records) {
+  const parts = [];
+  let part = [];
+  let bytes = 0;
+  records.forEach((record) => {
+    const size = JSON.stringify(record).length;
+    if (part.length && (part.length >= PUSH_PART_ROWS || bytes + size > PUSH_PART_BYTES)) {
+      parts.push(part);
+      part = [];
+      bytes = 0;
+    }
+    part.push(record);
+    bytes += size;
+  });
+  if (part.length) parts.push(part);
+  return parts;
+}
+
+function pushRow(row) {
+  const record = {
+    datum: exportDatum(row),
+    datum_iso: row.datum_iso || null,
+    aantal: toNumber(row.aantal),
+    aantal_raw: row.aantal
+  };
+  EXPORT_FIELDS.forEach((field) => {
+    if (!(field in record)) record[field] = row[field] ?? null;
+  });
+  return {
+    ...record,
+    template: row.template || null,
+    confidence: row.confidence,
+    review: row.review?.status || null,
+    reviewed_by: row.review?.by || null,
+    lines: lineEntries(row).map((line) => ({
+      aantal: toNumber(line.aantal),
+      aantal_raw: line.aantal,
+      unit: line.unit,
+      hoogte_enkel: line.hoogte_enkel ?? null,
+      hoogte_stack: line.hoogte_stack ?? null,
+      aantal2: line.aantal2 ?? null,
+      pallet: line.pallet
+    })),
+    warnings: row.warnings,
+    fileName: row.fileName,
+    pageIndex: row.pageIndex
+  };
+}
+
+function renderDeliveryLog() {
+  deliveryLog.innerHTML = state.deliveries.length ? `
+    <table>
+      <thead><tr><th>pushed</th><th>rows</th><th>status</th><th>attempts</th><th>last error</th><th></th></tr></thead>
+      <tbody>
+        ${state.deliveries.map((d) => `
+          <tr>
+            <td>${escapeHtml(formatTimestamp(d.at))}${d.by ? ` · ${escapeHtml(d.by)}` : ''}</td>
+            <td>${escapeHtml(d.rows)}</td>
+            <td class="delivery-status ${escapeHtml(d.status)}">${escapeHtml(d.status)}</td>
+            <td title="${escapeHtml(d.attempts.map((a) => `${formatTimestamp(a.at)}: ${a.status || 'no response'}${a.error ? ` ${a.error}` : ''}`).join('\n'))}">${d.attempts.length}</td>
+            <td>${escapeHtml(d.error || '-')}</td>
+            <td>${d.status === 'failed' ? `<button class="ghost" data-redeliver="${escapeHtml(d.id)}">Send again</button>` : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  ` : '';
+}
+
+function renderFileList() {
+  if (!state.files.length && !state.serverJobs.length) {
+    fileListEl.textContent = 'No files selected yet.';
+    return;
+  }
+  const jobItems = state.serverJobs.filter((job) => !job.batchId || job.batchId === state.batch?.id).map((job) => {
+    const summary = job.summary || {};
+    const names = (summary.files || []).map((f) => f.fileName).join(', ');
+    const progress = `${summary.processedPages || 0}/${summary.totalPages || 0} pages`;
+    const failed = summary.failedPages ? ` · ${summary.failedPages} failed` : '';
+    return `
+      <div class="file-status">
+        <span class="file-chip server">Server job · ${escapeHtml(names || job.id)}</span>
+        <span class="file-summary">${escapeHtml(progress + failed)} · ${job.finished ? 'finished' : escapeHtml(summary.status || 'queued')}</span>
+      </div>
+    `;
+  });
+  const fileItems = state.files.map((f, i) => {
+    if (state.remoteFiles.has(i)) {
+      return `<div class="file-status"><span class="file-chip">${escapeHtml(f.name)}</span><span class="file-summary">Sent to server</span></div>`;
+    }
+    const tasks = state.tasks.filter((task) => task.fileIndex === i);
+    if (!tasks.length) {
+      return `
+        <div class="file-status">
+          <span class="file-chip">${escapeHtml(f.name)}</span>
+          <span class="file-summary">Ready</span>
+          <select class="file-template" data-file-template="${i}" aria-label="Template for ${escapeHtml(f.name)}">${templateOptions(fileTemplate(i))}</select>
+        </div>
+      `;
+    }
+    const done = tasks.filter((task) => task.status === 'done').length;
+    const failed = tasks.filter((task) => task.status === 'failed').length;
+    const cancelled = tasks.filter((task) => task.status === 'cancelled').length;
+    const summary = `${done}/${tasks.length} done${failed ? ` · ${failed} failed` : ''}${cancelled ? ` · ${cancelled} stopped` : ''}`;
+    const pills = tasks.map((task) => {
+      const title = `Page ${task.pageIndex}: ${task.status}${task.cached ? ` (${task.cached} cache)` : ''}${task.error ? ` — ${task.error}` : ''}`;
+      const classes = ['page-pill', task.status, task.cached ? 'cached' : ''].filter(Boolean).join(' ');
+      return `<span class="${classes}" title="${escapeHtml(title)}">${task.pageIndex}</span>`;
+    }).join('');
+    return `
+      <div class="file-status">
+        <span class="file-chip">${escapeHtml(f.name)}</span>
+        <span class="file-summary">${summary} · ${escapeHtml(templateName(fileTemplate(i)))}</span>
+        <div class="page-pills">${pills}</div>
+      </div>
+    `;
+  });
+  fileListEl.innerHTML = [...fileItems, ...jobItems].join('');
+}
+
+async function loadTemplates() {
+  try {
+    const res = await apiFetch('/api/templates');
+    if (!res.ok) throw await apiError(res);
+    const data = await res.json();
+    state.templates = Array.isArray(data.templates) ? data.templates : [];
+  } catch (err) {
+    console.warn('Could not load document templates; using auto-detect only', err);
+  }
+  const stored = localStorage.getItem(TEMPLATE_KEY) || AUTO_TEMPLATE;
+  templateSelect.innerHTML = templateOptions(stored);
+  renderFileList();
+  renderTable();
+}
+
+function templateOptions(selected) {
+  const options = [{ id: AUTO_TEMPLATE, name: 'Auto-detect' }, ...state.templates];
+  if (!options.some((t) => t.id === selected)) options.push({ id: selected, name: selected });
+  return options
+    .map((t) => `<option value="${escapeHtml(t.id)}"${t.id === selected ? ' selected' : ''}>${escapeHtml(t.name)}</option>`)
+    .join('');
+}
+
+function templateName(id) {
+  if (id === AUTO_TEMPLATE) return 'Auto-detect';
+  return state.templates.find((t) => t.id === id)?.name || id;
+}
+
+function fileTemplate(fileIndex) {
+  return state.fileTemplates[fileIndex] || AUTO_TEMPLATE;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function uniqueId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `id-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+async function ensurePdfJs() {
+  if (window.pdfjsLib) {
+    setWorkerSrc(pdfSources[0]);
+    pdfAvailable = true;
+    return true;
   }
   for (const src of pdfSources) {
     try {
@@ -527,6 +3090,44 @@ async function ensurePdfJs() {
   return false;
 }
 
+function ensureUtif() {
+  if (!utifReadyPromise) {
+    utifReadyPromise = (async () => {
+      if (window.UTIF) return true;
+      for (const src of utifSources) {
+        try {
+          const loaded = await loadScript(src);
+          if (loaded && window.UTIF) return true;
+        } catch (e) {
+          console.warn('Failed loading UTIF source', src, e);
+        }
+      }
+      utifReadyPromise = null;
+      return false;
+    })();
+  }
+  return utifReadyPromise;
+}
+
+function ensureXlsx() {
+  if (!xlsxReadyPromise) {
+    xlsxReadyPromise = (async () => {
+      if (window.XLSX) return true;
+      for (const src of xlsxSources) {
+        try {
+          const loaded = await loadScript(src);
+          if (loaded && window.XLSX) return true;
+        } catch (e) {
+          console.warn('Failed loading SheetJS source', src, e);
+        }
+      }
+      xlsxReadyPromise = null;
+      return false;
+    })();
+  }
+  return xlsxReadyPromise;
+}
+
 function setWorkerSrc(scriptUrl) {
   const workerUrl = scriptUrl.replace('pdf.min.js', 'pdf.worker.min.js');
   pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
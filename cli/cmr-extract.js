@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { cachedExtractNotes, getCache } from '../lib/cache.js';
+import {
+  DEFAULT_RULES,
+  EXPORT_FIELDS,
+  cloneRules,
+  deriveFields,
+  formatCsvValue,
+  formatDatum,
+  lineEntries,
+  validateRules,
+} from '../lib/derive.js';
+import { withRetry } from '../lib/jobs/runner.js';
+import { getProvider } from '../lib/providers/index.js';
+import { defaultScale, openPdf, renderPdfPage } from '../lib/rasterize.js';
+import { stitchParts } from '../lib/stitch.js';
+import { AUTO_TEMPLATE, resolveTemplates } from '../lib/templates.js';
+
+// Headless batch run over a folder of PDFs: the same rasterising and extraction as the server
+// jobs (including the result cache) and the same derivation as the browser (lib/derive.js).
+// Exit code 0 when every page was extracted, 1 when some pages failed, 2 on bad arguments.
+
+const usage = `Usage: node cli/cmr-extract.js <folder> [options]
+
+Extracts every PDF in <folder> and writes cmr-notes.csv, cmr-notes.json and
+cmr-warnings.txt to the output folder.
+
+Options:
+  -o, --out <dir>          output folder (default: <folder>/cmr-output)
+  -f, --format <list>      csv, json or csv,json (default: csv,json)
+  -l, --layout <layout>    CSV rows per note or per line item: note or line (default: note)
+  -c, --concurrency <n>    pages extracted at the same time (default: 2)
+  -p, --provider <name>    extraction provider (default: EXTRACT_PROVIDER or openai)
+  -t, --template <id>      document template id or auto (default: auto)
+      --rules <file>       derivation rules JSON, as edited under Settings in the app
+      --scale <n>          render scale (default: ${defaultScale})
+  -r, --recursive          include PDFs in subfolders
+      --force              ignore cached results and extract every page again
+  -h, --help               show this help
+`;
+
+const FORMATS = ['csv', 'json'];
+const LAYOUTS = ['note', 'line'];
+
+async function main() {
+  let options;
+  try {
+    options = await readOptions(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  const files = await findPdfs(options.input, options.recursive);
+  if (!files.length) {
+    console.error(`No PDFs found in ${options.input}`);
+    return 2;
+  }
+  const provider = getProvider(options.provider);
+  const cache = getCache();
+  log(`Extracting ${files.length} PDF(s) from ${options.input} with ${provider.name}, ${options.concurrency} at a time`);
+
+  const pages = [];
+  for (const file of files) {
+    try {
+      const pdf = await openPdf(await readFile(file.path));
+      for (let pageIndex = 1; pageIndex <= pdf.numPages; pageIndex++) pages.push({ file, pageIndex, notes: [], error: '' });
+      file.pageCount = pdf.numPages;
+      await pdf.destroy();
+    } catch (err) {
+      file.error = `Could not read PDF: ${err.message}`;
+      log(`${file.name}: ${file.error}`);
+    }
+  }
+
+  const open = new Map();
+  const getPdf = (file) => {
+    if (!open.has(file)) open.set(file, readFile(file.path).then(openPdf));
+    return open.get(file);
+  };
+  const release = async (file) => {
+    file.remaining -= 1;
+    if (file.remaining > 0) return;
+    const load = open.get(file);
+    open.delete(file);
+    await load?.then((pdf) => pdf.destroy(), () => {});
+  };
+  files.forEach((file) => {
+    file.remaining = file.pageCount || 0;
+  });
+
+  let cursor = 0;
+  let finished = 0;
+  const worker = async () => {
+    while (cursor < pages.length) {
+      const page = pages[cursor];
+      cursor += 1;
+      const meta = { fileName: page.file.name, fileIndex: page.file.index, pageIndex: page.pageIndex };
+      try {
+        const pdf = await getPdf(page.file);
+        const image = await renderPdfPage(pdf, page.pageIndex, { scale: options.scale });
+        const input = { image, mimeType: 'image/png', meta, template: options.template };
+        const result = await withRetry(() => cachedExtractNotes(input, provider, { cache, force: options.force }));
+        page.notes = result.notes;
+        page.cached = result.cached;
+      } catch (err) {
+        page.error = err.message || 'Unknown error';
+      }
+      await release(page.file);
+      finished += 1;
+      const outcome = page.error ? `failed: ${page.error}` : `${page.notes.length} note(s)${page.cached ? ' (cached)' : ''}`;
+      log(`[${finished}/${pages.length}] ${page.file.name} p${page.pageIndex}: ${outcome}`);
+    }
+  };
+  await Promise.all(Array.from({ length: options.concurrency }, worker));
+
+  // Notes that run over several pages become one row on their first page; `pages` lists them all.
+  const parts = stitchParts(pages.flatMap((page) => page.notes.map((note, noteIndex) => ({
+    note,
+    fileName: page.file.name,
+    sources: [{ fileName: page.file.name, pageIndex: page.pageIndex, noteIndex }],
+  }))));
+  const rows = parts.map(({ note, sources: [first, ...rest] }) => ({
+    ...deriveFields(note, first, options.rules),
+    noteIndex: first.noteIndex,
+    pages: [first, ...rest].map((source) => source.pageIndex).join('+'),
+  }));
+  await mkdir(options.out, { recursive: true });
+  const written = [];
+  if (options.formats.includes('csv')) written.push(await writeOutput(options.out, 'cmr-notes.csv', toCsv(rows, options)));
+  if (options.formats.includes('json')) {
+    const json = { generatedAt: new Date().toISOString(), input: options.input, provider: provider.name, template: options.template, rows };
+    written.push(await writeOutput(options.out, 'cmr-notes.json', `${JSON.stringify(json, null, 2)}\n`));
+  }
+  written.push(await writeOutput(options.out, 'cmr-warnings.txt', warningsReport(files, pages, rows, options)));
+
+  const failed = pages.filter((page) => page.error).length + files.filter((file) => file.error).length;
+  log(`${rows.length} note(s) from ${pages.length} page(s)${failed ? `, ${failed} failure(s)` : ''}. Wrote ${written.join(', ')}`);
+  return failed ? 1 : 0;
+}
+
+async function readOptions(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f', default: FORMATS.join(',') },
+      layout: { type: 'string', short: 'l', default: 'note' },
+      concurrency: { type: 'string', short: 'c', default: '2' },
+      provider: { type: 'string', short: 'p' },
+      template: { type: 'string', short: 't', default: AUTO_TEMPLATE },
+      rules: { type: 'string' },
+      scale: { type: 'string', default: String(defaultScale) },
+      recursive: { type: 'boolean', short: 'r', default: false },
+      force: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new Error('Give exactly one folder of PDFs.');
+
+  const input = path.resolve(positionals[0]);
+  const formats = values.format.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter((f) => !FORMATS.includes(f));
+  if (!formats.length || unknown.length) throw new Error(`--format must be a list of: ${FORMATS.join(', ')}`);
+  if (!LAYOUTS.includes(values.layout)) throw new Error(`--layout must be one of: ${LAYOUTS.join(', ')}`);
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('--concurrency must be a whole number of at least 1');
+  const scale = Number(values.scale);
+  if (!(scale > 0 && scale <= 4)) throw new Error('--scale must be a number between 0 and 4');
+  resolveTemplates(values.template);
+
+  return {
+    input,
+    out: path.resolve(values.out || path.join(input, 'cmr-output')),
+    formats,
+    layout: values.layout,
+    concurrency,
+    provider: values.provider,
+    template: values.template,
+    rules: values.rules ? await readRules(values.rules) : cloneRules(DEFAULT_RULES),
+    scale,
+    recursive: values.recursive,
+    force: values.force,
+  };
+}
+
+// Missing top-level keys fall back to the defaults, as when the app loads stored rules.
+async function readRules(file) {
+  let rules;
+  try {
+    rules = { ...cloneRules(DEFAULT_RULES), ...JSON.parse(await readFile(file, 'utf8')) };
+  } catch (err) {
+    throw new Error(`Could not read rules from ${file}: ${err.message}`);
+  }
+  const errors = validateRules(rules);
+  if (errors.length) throw new Error(`Invalid rules in ${file}:\n  ${errors.join('\n  ')}`);
+  return rules;
+}
+
+async function findPdfs(dir, recursive, root = dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const found = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive && entry.name !== 'cmr-output') {
+      found.push(...await findPdfs(full, recursive, root));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.pdf')) {
+      found.push({ path: full, name: path.relative(root, full) });
+    }
+  }
+  return root === dir ? found.map((file, index) => ({ ...file, index })) : found;
+}
+
+// Per-note rows show totals for notes with several line items; per-line rows repeat the note's fields.
+function toCsv(rows, { layout, rules }) {
+  const perLine = layout === 'line';
+  const headers = [...EXPORT_FIELDS, ...(perLine ? ['line'] : []), 'fileName', 'pageIndex', 'pages', 'template', 'confidence', 'warnings'];
+  const records = perLine ? rows.flatMap(lineEntries) : rows;
+  const lines = records.map((row) => headers.map((h) => {
+    if (h === 'datum') return formatCsvValue(row.datum_iso ? formatDatum(row.datum_iso, rules.dates.exportFormat) : row.datum);
+    if (h === 'warnings') return formatCsvValue(row.warnings.join('; '));
+    return formatCsvValue(row[h]);
+  }).join(','));
+  return `${[headers.join(','), ...lines].join('\n')}\n`;
+}
+
+function warningsReport(files, pages, rows, options) {
+  const failedPages = pages.filter((page) => page.error);
+  const unreadable = files.filter((file) => file.error);
+  const warned = rows.filter((row) => row.warnings.length);
+  const lines = [
+    `CMR extraction report, ${new Date().toISOString()}`,
+    `Folder: ${options.input}`,
+    `Files: ${files.length}, pages: ${pages.length}, notes: ${rows.length}, notes with warnings: ${warned.length}`,
+    '',
+  ];
+  if (unreadable.length || failedPages.length) {
+    lines.push('Failed');
+    unreadable.forEach((file) => lines.push(`  ${file.name}: ${file.error}`));
+    failedPages.forEach((page) => lines.push(`  ${page.file.name} p${page.pageIndex}: ${page.error}`));
+    lines.push('');
+  }
+  const empty = pages.filter((page) => !page.error && !page.notes.length);
+  if (empty.length) {
+    lines.push('Pages without delivery notes');
+    empty.forEach((page) => lines.push(`  ${page.file.name} p${page.pageIndex}`));
+    lines.push('');
+  }
+  if (warned.length) {
+    lines.push('Warnings');
+    warned.forEach((row) => {
+      const label = row.note_number ? ` (${row.note_number})` : '';
+      lines.push(`  ${row.fileName} p${row.pages} note ${row.noteIndex + 1}${label}: ${row.warnings.join('; ')}`);
+    });
+    lines.push('');
+  }
+  if (!unreadable.length && !failedPages.length && !warned.length) lines.push('No failures or warnings.', '');
+  return lines.join('\n');
+}
+
+async function writeOutput(dir, name, content) {
+  const file = path.join(dir, name);
+  await writeFile(file, content);
+  return file;
+}
+
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  },
+);
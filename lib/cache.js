@@ -0,0 +1,90 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { extractNotes } from './extraction.js';
+import { AUTO_TEMPLATE } from './templates.js';
+
+// Extraction results keyed by page image content: `{ name, get(key), set(key, notes) }`.
+// The key covers the image bytes plus the provider, model and template, so switching models
+// or layouts doesn't replay old answers. EXTRACT_CACHE picks the store: file (default), memory or off.
+
+const MEMORY_LIMIT = 500;
+
+export function createMemoryCache({ limit = MEMORY_LIMIT } = {}) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      return entries.has(key) ? structuredClone(entries.get(key)) : null;
+    },
+    async set(key, notes) {
+      entries.delete(key);
+      entries.set(key, structuredClone(notes));
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+export function createFileCache({ dir = process.env.EXTRACT_CACHE_DIR || path.join(os.tmpdir(), 'cmr-extract-cache') } = {}) {
+  const file = (key) => path.join(dir, `${key}.json`);
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(file(key), 'utf8')).notes;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        console.warn(`Ignoring unreadable cache entry ${key}`, err);
+        return null;
+      }
+    },
+    async set(key, notes) {
+      await mkdir(dir, { recursive: true });
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify({ notes, cachedAt: new Date().toISOString() }));
+      await rename(tmp, file(key));
+    },
+  };
+}
+
+const disabledCache = {
+  name: 'off',
+  async get() {
+    return null;
+  },
+  async set() {},
+};
+
+let sharedCache = null;
+
+export function getCache(kind = process.env.EXTRACT_CACHE || 'file') {
+  if (kind === 'off') return disabledCache;
+  if (!sharedCache || sharedCache.name !== kind) {
+    sharedCache = kind === 'memory' ? createMemoryCache() : createFileCache();
+  }
+  return sharedCache;
+}
+
+export function cacheKey(image, provider, template = AUTO_TEMPLATE) {
+  return createHash('sha256')
+    .update(`${provider.name}:${provider.model || ''}:${template}:`)
+    .update(image)
+    .digest('hex');
+}
+
+// Returns `{ notes, cached }`; `force` skips the lookup but still refreshes the entry.
+// A failing cache never fails the extraction.
+export async function cachedExtractNotes(input, provider, { cache = getCache(), force = false } = {}) {
+  const key = cacheKey(input.image, provider, input.template);
+  if (!force) {
+    const hit = await cache.get(key).catch((err) => {
+      console.warn('Result cache lookup failed', err);
+      return null;
+    });
+    if (hit) return { notes: hit, cached: true };
+  }
+  const notes = await extractNotes(input, provider);
+  await cache.set(key, notes).catch((err) => console.warn('Result cache write failed', err));
+  return { notes, cached: false };
+}
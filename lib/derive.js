@@ -0,0 +1,338 @@
+// Derivation rules shared by the browser app (app.js) and the CLI (cli/cmr-extract.js): turns one
+// extracted note into a table row with parsed date and quantity, unit heights, floor places and
+// pallet type. Pure functions only, so both sides produce the same rows from the same notes.
+
+export const HEADER_FIELDS = [
+  { key: 'note_number', label: 'Note number' },
+  { key: 'cmr_number', label: 'CMR number' },
+  { key: 'sender', label: 'Sender' },
+  { key: 'consignee', label: 'Consignee' },
+  { key: 'delivery_place', label: 'Place of delivery' },
+  { key: 'vehicle_plate', label: 'Vehicle plate' },
+  { key: 'trailer_plate', label: 'Trailer plate' },
+  { key: 'carrier', label: 'Carrier' },
+];
+export const EXPORT_FIELDS = ['datum', 'aantal', 'unit', 'hoogte_enkel', 'hoogte_stack', 'aantal2', 'pallet', ...HEADER_FIELDS.map((f) => f.key)];
+export const DEFAULT_RULES = {
+  defaults: { pallet: 'EURO', heightMultiplier: 10, stackThreshold: 150, stackFactor: 2 },
+  units: { M: { pallet: 'BLOK' } },
+  rounding: 'round',
+  pallets: {
+    EURO: { length: 1.2, width: 0.8 },
+    BLOK: { length: 1.2, width: 1.0 },
+  },
+  trailerWidth: 2.4,
+  dates: { maxPastDays: 365, maxFutureDays: 14, exportFormat: 'DD-MM-YYYY' },
+  review: { minConfidence: 0.8 },
+};
+export const DATE_FORMATS = ['DD-MM-YYYY', 'DD.MM.YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'];
+const MONTHS = {
+  jan: 1, januari: 1, january: 1, januar: 1, jänner: 1,
+  feb: 2, februari: 2, february: 2, februar: 2,
+  mrt: 3, mar: 3, maart: 3, march: 3, mär: 3, märz: 3, maerz: 3,
+  apr: 4, april: 4,
+  mei: 5, may: 5, mai: 5,
+  jun: 6, juni: 6, june: 6,
+  jul: 7, juli: 7, july: 7,
+  aug: 8, augustus: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  okt: 10, oct: 10, oktober: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, dez: 12, december: 12, dezember: 12,
+};
+export const ROUNDING_MODES = {
+  round: Math.round,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  none: (n) => n,
+};
+
+// `meta` supplies fileName and pageIndex; `rules` has the shape of DEFAULT_RULES (see validateRules).
+// Quantities are derived per line item (`lines`); the note's own aantal/unit/height/pallet fields
+// equal its line for single-line notes and summarise the lines otherwise (see combineLines).
+export function deriveFields(note, meta, rules = DEFAULT_RULES) {
+  const warnings = [];
+  const safeDatum = (note.datum || '').trim();
+
+  const confidence = typeof note.confidence === 'number' ? note.confidence : null;
+  (Array.isArray(note.warnings) ? note.warnings : []).forEach((warning) => {
+    if (warning) warnings.push(`Model: ${warning}`);
+  });
+  if (confidence != null && confidence < rules.review.minConfidence) {
+    warnings.push(`Low model confidence (${confidence.toFixed(2)}).`);
+  }
+  const datum_iso = parseDatum(safeDatum, warnings, rules.dates);
+
+  const items = noteLines(note);
+  const lines = items.map((item, i) => {
+    const lineWarnings = [];
+    const line = deriveLine(item, rules, lineWarnings);
+    const prefix = items.length > 1 ? `Line ${i + 1}: ` : '';
+    lineWarnings.forEach((warning) => warnings.push(`${prefix}${warning}`));
+    return line;
+  });
+  const quantities = lines.length === 1 ? lines[0] : combineLines(lines);
+
+  (Array.isArray(note.template_warnings) ? note.template_warnings : []).forEach((warning) => warnings.push(warning));
+  // Set only while the other part of a multi-page note is missing (see lib/stitch.js).
+  if (note.continues_on_next) warnings.push('Continues on the next page, but no continuation was found there.');
+  if (note.continued_from_previous) warnings.push('Continued from the previous page, but the start of the note was not found.');
+
+  const header = {};
+  HEADER_FIELDS.forEach(({ key }) => {
+    header[key] = typeof note[key] === 'string' ? note[key].trim() : '';
+    const fieldWarning = note.field_warnings?.[key];
+    if (fieldWarning) warnings.push(`${key}: ${fieldWarning}`);
+  });
+
+  return {
+    datum: safeDatum,
+    datum_iso,
+    ...quantities,
+    lines,
+    ...header,
+    confidence,
+    template: note.template || '',
+    warnings,
+    duplicate: false,
+    fileName: meta.fileName,
+    pageIndex: meta.pageIndex,
+  };
+}
+
+// Line items of a note. Notes read before line items existed carry aantal/unit on the note
+// itself and count as a single line; so does a note whose lines came back empty.
+export function noteLines(note) {
+  if (Array.isArray(note.lines) && note.lines.length) return note.lines;
+  return [{ aantal: note.aantal, unit: note.unit }];
+}
+
+// One entry per line item of a derived row, carrying the note's fields, for per-line totals and
+// exports. `line` is 1-based; rows derived before line items existed count as one line.
+export function lineEntries(row) {
+  const lines = row.lines?.length ? row.lines : [row];
+  return lines.map((line, i) => ({ ...row, ...line, line: i + 1, line_count: lines.length }));
+}
+
+function deriveLine(item, rules, warnings) {
+  const rawAantal = String(item.aantal ?? '').trim();
+  const rawUnit = String(item.unit ?? '').trim();
+  const aantalNormalized = parseAantal(rawAantal, warnings);
+  const unitInfo = parseUnit(rawUnit, warnings);
+
+  const rule = unitRule(unitInfo.letter, rules);
+
+  let hoogte_enkel = null;
+  if (unitInfo.valid) {
+    hoogte_enkel = unitInfo.digits * rule.heightMultiplier;
+  } else {
+    warnings.push('Unit invalid; hoogte_enkel missing.');
+  }
+
+  const stackable = hoogte_enkel != null && hoogte_enkel <= rule.stackThreshold;
+  let hoogte_stack = null;
+  if (hoogte_enkel != null) {
+    hoogte_stack = stackable ? hoogte_enkel * rule.stackFactor : hoogte_enkel;
+  }
+
+  let aantal2 = null;
+  if (aantalNormalized != null) {
+    const round = ROUNDING_MODES[rules.rounding] || ROUNDING_MODES.round;
+    aantal2 = stackable
+      ? round(aantalNormalized / rule.stackFactor)
+      : round(aantalNormalized);
+  }
+
+  return {
+    aantal: rawAantal,
+    unit: rawUnit,
+    hoogte_enkel,
+    hoogte_stack,
+    aantal2,
+    pallet: rule.pallet,
+  };
+}
+
+// Note-level values for a note with several lines: summed quantities (empty when a line has none),
+// the tallest heights, and each distinct unit and pallet type.
+function combineLines(lines) {
+  const sum = (values) => (values.some((v) => v == null) ? null : values.reduce((a, b) => a + b, 0));
+  const max = (values) => (values.some((v) => v != null) ? Math.max(...values.filter((v) => v != null)) : null);
+  const distinct = (values) => [...new Set(values.filter(Boolean))].join(' + ');
+  const aantal = sum(lines.map((line) => toNumber(line.aantal)));
+  return {
+    aantal: aantal == null ? '' : String(Math.round(aantal * 1000) / 1000),
+    unit: distinct(lines.map((line) => line.unit)),
+    hoogte_enkel: max(lines.map((line) => line.hoogte_enkel)),
+    hoogte_stack: max(lines.map((line) => line.hoogte_stack)),
+    aantal2: sum(lines.map((line) => line.aantal2)),
+    pallet: distinct(lines.map((line) => line.pallet)),
+  };
+}
+
+export function unitRule(letter, rules) {
+  return { ...rules.defaults, ...(rules.units[letter] || {}) };
+}
+
+export function cloneRules(rules) {
+  return JSON.parse(JSON.stringify(rules));
+}
+
+export function validateRules(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return ['Rules must be a JSON object.'];
+  const checkRule = (rule, path, partial) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${path} must be an object.`);
+      return;
+    }
+    const fields = {
+      pallet: (v) => typeof v === 'string' && v.trim() !== '',
+      heightMultiplier: (v) => typeof v === 'number' && v > 0,
+      stackThreshold: (v) => typeof v === 'number' && v >= 0,
+      stackFactor: (v) => typeof v === 'number' && v >= 1,
+    };
+    Object.entries(fields).forEach(([key, isValid]) => {
+      if (rule[key] === undefined && partial) return;
+      if (!isValid(rule[key])) errors.push(`${path}.${key} is missing or invalid.`);
+    });
+    Object.keys(rule).forEach((key) => {
+      if (!fields[key]) errors.push(`${path}.${key} is not a known setting.`);
+    });
+  };
+  checkRule(rules.defaults, 'defaults', false);
+  if (!rules.units || typeof rules.units !== 'object' || Array.isArray(rules.units)) {
+    errors.push('units must be an object keyed by unit letter.');
+  } else {
+    Object.entries(rules.units).forEach(([letter, rule]) => {
+      if (!/^[A-Z]$/.test(letter)) errors.push(`units.${letter}: key must be a single uppercase letter.`);
+      checkRule(rule, `units.${letter}`, true);
+    });
+  }
+  if (!ROUNDING_MODES[rules.rounding]) {
+    errors.push(`rounding must be one of: ${Object.keys(ROUNDING_MODES).join(', ')}.`);
+  }
+  if (!rules.pallets || typeof rules.pallets !== 'object' || Array.isArray(rules.pallets)) {
+    errors.push('pallets must be an object keyed by pallet type.');
+  } else {
+    Object.entries(rules.pallets).forEach(([pallet, footprint]) => {
+      const valid = footprint && typeof footprint.length === 'number' && footprint.length > 0
+        && typeof footprint.width === 'number' && footprint.width > 0;
+      if (!valid) errors.push(`pallets.${pallet} needs a positive length and width in metres.`);
+    });
+  }
+  if (typeof rules.trailerWidth !== 'number' || rules.trailerWidth <= 0) {
+    errors.push('trailerWidth must be a positive number of metres.');
+  }
+  const dates = rules.dates;
+  if (!dates || typeof dates !== 'object' || Array.isArray(dates)) {
+    errors.push('dates must be an object with maxPastDays, maxFutureDays and exportFormat.');
+  } else {
+    if (typeof dates.maxPastDays !== 'number' || dates.maxPastDays < 0) errors.push('dates.maxPastDays must be 0 or more.');
+    if (typeof dates.maxFutureDays !== 'number' || dates.maxFutureDays < 0) errors.push('dates.maxFutureDays must be 0 or more.');
+    if (!DATE_FORMATS.includes(dates.exportFormat)) errors.push(`dates.exportFormat must be one of: ${DATE_FORMATS.join(', ')}.`);
+  }
+  const minConfidence = rules.review?.minConfidence;
+  if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+    errors.push('review.minConfidence must be a number between 0 and 1.');
+  }
+  return errors;
+}
+
+// Returns the date as YYYY-MM-DD. Numeric dates are read day first (DD-MM-YYYY, DD.MM.YY,
+// DD/MM/YYYY) unless they start with a four-digit year; month names may be Dutch, English or
+// German ("12 mrt 2024", "March 12, 2024", "12. März 24"). Two-digit years are 20xx. Only missing,
+// unreadable, impossible and out-of-range dates are warned about; other notations are just read.
+export function parseDatum(raw, warnings, limits = DEFAULT_RULES.dates) {
+  if (!raw) {
+    warnings.push('Missing datum.');
+    return null;
+  }
+  const parts = splitDatum(raw.toLowerCase());
+  if (!parts) {
+    warnings.push('Datum format not recognised.');
+    return null;
+  }
+  const year = parts.year < 100 ? 2000 + parts.year : parts.year;
+  const date = new Date(year, parts.month - 1, parts.day);
+  if (date.getFullYear() !== year || date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day) {
+    warnings.push('Datum is not a valid date.');
+    return null;
+  }
+  const iso = toIsoDate(date);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Math.round((date - today) / 86400000);
+  if (days > limits.maxFutureDays) warnings.push(`Datum is ${days} days in the future.`);
+  if (-days > limits.maxPastDays) warnings.push(`Datum is more than ${limits.maxPastDays} days in the past.`);
+  return iso;
+}
+
+function splitDatum(text) {
+  let match = /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/.exec(text);
+  if (match) return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  match = /^(\d{1,2})\s*[-./]\s*(\d{1,2})\s*[-./]\s*(\d{2}|\d{4})$/.exec(text);
+  if (match) return { day: Number(match[1]), month: Number(match[2]), year: Number(match[3]) };
+  match = /^(\d{1,2})[.\s-]*([a-zäë]+)\.?[\s-]*(\d{2}|\d{4})$/.exec(text);
+  if (match && MONTHS[match[2]]) return { day: Number(match[1]), month: MONTHS[match[2]], year: Number(match[3]) };
+  match = /^([a-zäë]+)\.?\s+(\d{1,2}),?\s+(\d{2}|\d{4})$/.exec(text);
+  if (match && MONTHS[match[1]]) return { day: Number(match[2]), month: MONTHS[match[1]], year: Number(match[3]) };
+  return null;
+}
+
+export function toIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatDatum(iso, format = DEFAULT_RULES.dates.exportFormat) {
+  if (!iso) return '';
+  const [year, month, day] = iso.split('-');
+  return format.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+export function isoToDate(iso) {
+  if (!iso) return null;
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function parseAantal(raw, warnings) {
+  if (!raw) {
+    warnings.push('Missing aantal.');
+    return null;
+  }
+  const normalized = raw.replace(',', '.');
+  const num = parseFloat(normalized);
+  if (Number.isNaN(num)) {
+    warnings.push('Aantal is not a number.');
+    return null;
+  }
+  return num;
+}
+
+export function parseUnit(raw, warnings) {
+  const valid = /^[A-Z][0-9]{2}$/.test(raw);
+  if (!valid) warnings.push('Unit format invalid.');
+  return {
+    valid,
+    letter: raw ? raw[0] : '',
+    digits: valid ? parseInt(raw.slice(1), 10) : null,
+  };
+}
+
+// Export helpers: quantities as numbers (comma decimals allowed) and RFC 4180 CSV cells.
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isNaN(num) ? null : num;
+}
+
+export function formatCsvValue(val) {
+  if (val === null || val === undefined) return '';
+  const str = String(val);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
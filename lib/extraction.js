@@ -0,0 +1,44 @@
+import { getProvider } from './providers/index.js';
+import { lineRegionKeys, regionKeys } from './prompt.js';
+import { applyTemplate, resolveTemplates } from './templates.js';
+
+// `mimeType` must describe `image` (api/extract.js sniffs it from the upload's magic bytes);
+// `template` is a template id from lib/templates.js or "auto".
+export async function extractNotes({ image, mimeType, meta = {}, template }, provider = getProvider()) {
+  if (!mimeType) throw new Error('extractNotes needs the image mimeType');
+  const templates = resolveTemplates(template);
+  const result = await provider.extract({ image, mimeType, meta, templates });
+  const notes = Array.isArray(result?.notes) ? result.notes : [];
+  return notes.map((note) => applyTemplate(normalizeRegions(note), templates));
+}
+
+function normalizeRegions(note) {
+  const normalized = { ...note };
+  if (note.regions && typeof note.regions === 'object') normalized.regions = clampRegions(note.regions, regionKeys);
+  if (Array.isArray(note.lines)) {
+    normalized.lines = note.lines.map((line) => (line?.regions && typeof line.regions === 'object'
+      ? { ...line, regions: clampRegions(line.regions, lineRegionKeys) }
+      : line));
+  }
+  return normalized;
+}
+
+function clampRegions(boxes, keys) {
+  const regions = {};
+  keys.forEach((key) => {
+    const region = boxes[key];
+    if (!region) return;
+    const x = clamp01(region.x);
+    const y = clamp01(region.y);
+    const width = Math.min(clamp01(region.width), 1 - x);
+    const height = Math.min(clamp01(region.height), 1 - y);
+    if (width > 0 && height > 0) regions[key] = { x, y, width, height };
+  });
+  return regions;
+}
+
+function clamp01(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  return Math.min(1, Math.max(0, num));
+}
@@ -0,0 +1,83 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+// Request guards shared by the API routes. When EXTRACT_ACCESS_TOKEN is set every request must
+// carry it as `Authorization: Bearer <token>`; without it the API is open to anyone who can reach
+// it, which is logged once per instance. Rate limits are counted per client IP in a fixed
+// one-minute window, per function instance (good enough to stop a runaway script, not a quota).
+
+const WINDOW_MS = 60 * 1000;
+const buckets = new Map();
+let warnedOpen = false;
+
+export function httpError(message, statusCode, headers = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.headers = headers;
+  return err;
+}
+
+// `retryable` tells clients whether sending the same request again may help: rate limits and
+// errors marked transient (see lib/providers/errors.js) yes, anything else no.
+export function sendError(res, err) {
+  Object.entries(err.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+  const message = err?.response?.data || err.message || 'Unknown error';
+  const statusCode = err.statusCode || 500;
+  return res.status(statusCode).json({ error: message, retryable: err.retryable ?? statusCode === 429 });
+}
+
+export function checkAccess(req, token = process.env.EXTRACT_ACCESS_TOKEN) {
+  if (!token) {
+    if (!warnedOpen) console.warn('EXTRACT_ACCESS_TOKEN is not set: the API accepts requests from anyone');
+    warnedOpen = true;
+    return;
+  }
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) {
+    throw httpError('Access token required', 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+  if (!safeEqual(match[1].trim(), token)) {
+    throw httpError('Invalid access token', 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+}
+
+export function checkRateLimit(req, bucket, limit = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60, now = Date.now()) {
+  const key = `${bucket}|${clientId(req)}`;
+  let entry = buckets.get(key);
+  if (!entry || now - entry.start >= WINDOW_MS) {
+    entry = { start: now, count: 0 };
+    buckets.set(key, entry);
+    pruneBuckets(now);
+  }
+  entry.count += 1;
+  if (entry.count > limit) {
+    const retryAfter = Math.ceil((entry.start + WINDOW_MS - now) / 1000);
+    throw httpError(`Too many requests, try again in ${retryAfter}s`, 429, { 'Retry-After': String(retryAfter) });
+  }
+}
+
+export function authHeaders(token = process.env.EXTRACT_ACCESS_TOKEN) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// The platform sets x-real-ip and appends the address it saw to x-forwarded-for; earlier
+// x-forwarded-for entries come from the client and could be anything.
+function clientId(req) {
+  const realIp = req.headers['x-real-ip'];
+  if (realIp) return String(realIp).trim();
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',').at(-1).trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+function pruneBuckets(now) {
+  buckets.forEach((entry, key) => {
+    if (now - entry.start >= WINDOW_MS) buckets.delete(key);
+  });
+}
+
+// Hashing first keeps the comparison constant-time even when the lengths differ.
+function safeEqual(a, b) {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
@@ -0,0 +1,254 @@
+import { randomUUID } from 'node:crypto';
+import { cachedExtractNotes } from '../cache.js';
+import { httpError } from '../guard.js';
+import { getProvider } from '../providers/index.js';
+import { AUTO_TEMPLATE } from '../templates.js';
+import { openPdf, renderPdfPage } from '../rasterize.js';
+
+const LEASE_GRACE_MS = 30_000;
+const RETRY_DELAYS = [1000, 2000, 4000, 8000];
+
+// A job expecting more files than it was created with stays "uploading" until appendJobFiles
+// has added the rest; uploading one file per request keeps each request under the platform's
+// body size limit.
+export async function createJob(store, files, { expectedFiles = files.length } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: files.length < expectedFiles ? 'uploading' : 'queued',
+    expectedFiles,
+    createdAt: now,
+    updatedAt: now,
+    files: [],
+    pages: [],
+    seq: 0,
+    lease: '',
+    leaseUntil: 0,
+  };
+  const added = await storeFiles(store, job.id, files, 0);
+  job.files.push(...added.files);
+  job.pages.push(...added.pages);
+  return store.create(job);
+}
+
+// Adds the next file(s) of an uploading job; the job is queued once all expected files are in.
+// Returns null for an unknown job.
+export async function appendJobFiles(store, id, files) {
+  const current = await store.get(id);
+  if (!current) return null;
+  if (current.status !== 'uploading') throw httpError('Job is not waiting for files', 409);
+  const start = current.files.length;
+  const added = await storeFiles(store, id, files, start);
+  return store.update(id, (job) => {
+    if (job.status !== 'uploading' || job.files.length !== start) throw httpError('Job files were added concurrently', 409);
+    job.files.push(...added.files);
+    job.pages.push(...added.pages);
+    if (job.files.length >= job.expectedFiles) job.status = 'queued';
+    job.updatedAt = new Date().toISOString();
+    return job;
+  });
+}
+
+async function storeFiles(store, id, files, start) {
+  const added = { files: [], pages: [] };
+  for (const [i, file] of files.entries()) {
+    const fileIndex = start + i;
+    const pdf = await openPdf(file.buffer);
+    const pageCount = pdf.numPages;
+    await pdf.destroy();
+    await store.saveFile(id, `${fileIndex}.pdf`, file.buffer);
+    const template = file.template || AUTO_TEMPLATE;
+    added.files.push({ fileIndex, fileName: file.fileName, pageCount, template });
+    for (let pageIndex = 1; pageIndex <= pageCount; pageIndex++) {
+      added.pages.push({
+        fileIndex,
+        fileName: file.fileName,
+        pageIndex,
+        template,
+        status: 'pending',
+        error: '',
+        attempts: 0,
+        result: '',
+        seq: 0,
+      });
+    }
+  }
+  return added;
+}
+
+export function isFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+export function needsWorker(job) {
+  return !isFinished(job) && job.status !== 'uploading' && job.leaseUntil <= Date.now();
+}
+
+// Processes pending pages until the time budget runs out. Returns `remaining: true` when the
+// job still has pending pages and another invocation should pick it up.
+export async function runJob(store, id, {
+  budgetMs = Number(process.env.JOB_TIME_BUDGET_MS) || 50_000,
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 2,
+  provider,
+} = {}) {
+  const deadline = Date.now() + budgetMs;
+  const lease = randomUUID();
+  const claimed = await store.update(id, (job) => {
+    if (!needsWorker(job)) return job;
+    job.lease = lease;
+    job.leaseUntil = deadline + LEASE_GRACE_MS;
+    job.status = 'running';
+    job.pages.forEach((page) => {
+      if (page.status === 'running') page.status = 'pending';
+    });
+    job.updatedAt = new Date().toISOString();
+    return job;
+  });
+  if (!claimed || claimed.lease !== lease) return { claimed: false, remaining: false };
+
+  const extractor = provider || getProvider();
+  const pdfs = new Map();
+  const getPdf = (fileIndex) => {
+    if (!pdfs.has(fileIndex)) {
+      pdfs.set(fileIndex, store.readFile(id, `${fileIndex}.pdf`).then((buffer) => {
+        if (!buffer) throw new Error('Uploaded PDF is missing from the job store');
+        return openPdf(buffer);
+      }));
+    }
+    return pdfs.get(fileIndex);
+  };
+
+  const pending = claimed.pages.filter((page) => page.status === 'pending');
+  let cursor = 0;
+  let leaseLost = false;
+  const worker = async () => {
+    while (cursor < pending.length && Date.now() < deadline && !leaseLost) {
+      const page = pending[cursor];
+      cursor += 1;
+      const held = await processPage(store, id, page, { lease, getPdf, extractor, deadline });
+      if (!held) leaseLost = true;
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  await Promise.all([...pdfs.values()].map((load) => load.then((pdf) => pdf.destroy(), () => {})));
+
+  let stillHeld = false;
+  const job = await store.update(id, (current) => {
+    if (current.lease !== lease) return current;
+    stillHeld = true;
+    current.lease = '';
+    current.leaseUntil = 0;
+    const remaining = current.pages.some((page) => page.status === 'pending');
+    if (remaining) {
+      current.status = 'queued';
+    } else {
+      const anyDone = current.pages.some((page) => page.status === 'done');
+      current.status = anyDone || !current.pages.length ? 'done' : 'failed';
+    }
+    current.updatedAt = new Date().toISOString();
+    return current;
+  });
+  return { claimed: true, remaining: stillHeld && job.status === 'queued' };
+}
+
+// Every write checks that this worker still holds the job's lease: once it has expired another
+// worker owns the pages, and a late result must not overwrite theirs. Notes go to a file of their
+// own per attempt (the attempt number is taken under the lease), so the job record stays small and
+// a stale worker's file is never the one the record points to. Returns false once the lease is lost.
+async function processPage(store, id, page, { lease, getPdf, extractor, deadline }) {
+  const matches = (p) => p.fileIndex === page.fileIndex && p.pageIndex === page.pageIndex;
+  let attempt = 0;
+  await store.update(id, (job) => {
+    if (job.lease !== lease) return job;
+    const target = job.pages.find(matches);
+    target.status = 'running';
+    target.attempts += 1;
+    attempt = target.attempts;
+    return job;
+  });
+  if (!attempt) return false;
+
+  let result;
+  try {
+    const pdf = await getPdf(page.fileIndex);
+    const image = await renderPdfPage(pdf, page.pageIndex);
+    const meta = { fileName: page.fileName, fileIndex: page.fileIndex, pageIndex: page.pageIndex, jobId: id };
+    const input = { image, mimeType: 'image/png', meta, template: page.template };
+    const { notes } = await withRetry(() => cachedExtractNotes(input, extractor), deadline);
+    const name = resultName(page, attempt);
+    await store.saveFile(id, name, Buffer.from(JSON.stringify(notes)));
+    result = { status: 'done', error: '', result: name };
+  } catch (err) {
+    console.error(err);
+    result = { status: 'failed', error: err.message || 'Unknown error', result: '' };
+  }
+
+  let held = false;
+  await store.update(id, (job) => {
+    if (job.lease !== lease) return job;
+    held = true;
+    const target = job.pages.find(matches);
+    Object.assign(target, result);
+    if (result.status === 'done') {
+      job.seq += 1;
+      target.seq = job.seq;
+    }
+    job.updatedAt = new Date().toISOString();
+    return job;
+  });
+  return held;
+}
+
+function resultName(page, attempt) {
+  return `notes-${page.fileIndex}-${page.pageIndex}-${attempt}.json`;
+}
+
+// Retries transient provider errors with backoff while the next attempt still fits before
+// `deadline`: those marked retryable, or else 429/5xx.
+export async function withRetry(fn, deadline = Infinity) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const status = err.status || err.statusCode;
+      const retryable = err.retryable ?? (status === 429 || status >= 500);
+      const delay = RETRY_DELAYS[attempt];
+      if (!retryable || delay === undefined || Date.now() + delay > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export function jobSummary(job) {
+  const count = (pages, status) => pages.filter((page) => page.status === status).length;
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    totalPages: job.pages.length,
+    processedPages: count(job.pages, 'done') + count(job.pages, 'failed'),
+    failedPages: count(job.pages, 'failed'),
+    files: job.files.map((file) => {
+      const pages = job.pages.filter((page) => page.fileIndex === file.fileIndex);
+      return { ...file, done: count(pages, 'done'), failed: count(pages, 'failed') };
+    }),
+    pages: job.pages.map(({ fileIndex, pageIndex, status, error }) => ({ fileIndex, pageIndex, status, error })),
+  };
+}
+
+// Reads the notes of pages completed after sequence number `since` from their result files.
+export async function jobResults(store, job, since = 0) {
+  const done = job.pages.filter((page) => page.status === 'done' && page.seq > since);
+  const pages = await Promise.all(done.map(async ({ fileName, fileIndex, pageIndex, result, seq }) => {
+    const buffer = await store.readFile(job.id, result);
+    if (!buffer) throw new Error(`Results of ${fileName} page ${pageIndex} are missing from the job store`);
+    return { fileName, fileIndex, pageIndex, notes: JSON.parse(buffer.toString('utf8')), seq };
+  }));
+  return {
+    id: job.id,
+    status: job.status,
+    seq: job.seq,
+    pages,
+  };
+}
@@ -0,0 +1,206 @@
+import { GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { httpError } from '../guard.js';
+
+// A job store keeps job records (JSON) plus the files they refer to, the uploaded PDFs and each
+// page's extracted notes: `{ create(job), get(id), update(id, fn), saveFile(id, name, buffer), readFile(id, name) }`.
+// The file store needs a directory shared by every function instance that touches a job
+// (true for `vercel dev` and single-host deployments); the memory store only lives as long
+// as the process and is meant for tests. Deployed on Vercel, where instances share nothing,
+// jobs live in an S3 bucket (any S3-compatible service) so every instance sees the same job.
+
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const files = new Map();
+  return {
+    name: 'memory',
+    async create(job) {
+      jobs.set(job.id, structuredClone(job));
+      return job;
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+    update: serializeUpdates(async (id, fn) => {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const next = fn(structuredClone(job)) || job;
+      jobs.set(id, structuredClone(next));
+      return next;
+    }),
+    async saveFile(id, name, buffer) {
+      files.set(`${id}/${name}`, Buffer.from(buffer));
+    },
+    async readFile(id, name) {
+      return files.get(`${id}/${name}`) || null;
+    },
+  };
+}
+
+export function createFileJobStore({ dir = process.env.JOBS_DIR || path.join(os.tmpdir(), 'cmr-jobs') } = {}) {
+  const jobDir = (id) => path.join(dir, safeId(id));
+  const jobFile = (id) => path.join(jobDir(id), 'job.json');
+
+  const get = async (id) => {
+    try {
+      return JSON.parse(await readFile(jobFile(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+  const write = async (job) => {
+    await mkdir(jobDir(job.id), { recursive: true });
+    const tmp = `${jobFile(job.id)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(job));
+    await rename(tmp, jobFile(job.id));
+  };
+
+  return {
+    name: 'file',
+    async create(job) {
+      await write(job);
+      return job;
+    },
+    get,
+    update: serializeUpdates(async (id, fn) => {
+      const job = await get(id);
+      if (!job) return null;
+      const next = fn(job) || job;
+      await write(next);
+      return next;
+    }),
+    async saveFile(id, name, buffer) {
+      await mkdir(path.join(jobDir(id), 'files'), { recursive: true });
+      await writeFile(path.join(jobDir(id), 'files', safeId(name)), buffer);
+    },
+    async readFile(id, name) {
+      try {
+        return await readFile(path.join(jobDir(id), 'files', safeId(name)));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+  };
+}
+
+// Job records are updated with conditional writes: a write based on a record another instance
+// changed in the meantime fails with 412 and is redone on the fresh record, so page results and
+// worker leases from different instances never overwrite each other.
+export function createS3JobStore({
+  bucket = process.env.JOBS_S3_BUCKET,
+  prefix = process.env.JOBS_S3_PREFIX || 'cmr-jobs/',
+  client = new S3Client({
+    ...(process.env.JOBS_S3_ENDPOINT ? { endpoint: process.env.JOBS_S3_ENDPOINT, forcePathStyle: true } : {}),
+  }),
+} = {}) {
+  if (!bucket) throw httpError('JOB_STORE=s3 needs JOBS_S3_BUCKET', 501);
+  const key = (id, name) => `${prefix}${safeId(id)}/${name}`;
+
+  const read = async (id) => {
+    try {
+      const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key(id, 'job.json') }));
+      return { job: JSON.parse(await res.Body.transformToString()), etag: res.ETag };
+    } catch (err) {
+      if (isMissing(err)) return null;
+      throw err;
+    }
+  };
+  const write = (job, condition) => client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key(job.id, 'job.json'),
+    Body: JSON.stringify(job),
+    ContentType: 'application/json',
+    ...condition,
+  }));
+
+  return {
+    name: 's3',
+    async create(job) {
+      await write(job, { IfNoneMatch: '*' });
+      return job;
+    },
+    async get(id) {
+      return (await read(id))?.job || null;
+    },
+    update: serializeUpdates(async (id, fn) => {
+      for (let attempt = 0; attempt < S3_UPDATE_ATTEMPTS; attempt++) {
+        const current = await read(id);
+        if (!current) return null;
+        const next = fn(current.job) || current.job;
+        try {
+          await write(next, { IfMatch: current.etag });
+          return next;
+        } catch (err) {
+          if (err.$metadata?.httpStatusCode !== 412) throw err;
+        }
+      }
+      throw new Error(`Job ${id} kept changing while it was being updated`);
+    }),
+    async saveFile(id, name, buffer) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key(id, `files/${safeId(name)}`), Body: buffer }));
+    },
+    async readFile(id, name) {
+      try {
+        const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key(id, `files/${safeId(name)}`) }));
+        return Buffer.from(await res.Body.transformToByteArray());
+      } catch (err) {
+        if (isMissing(err)) return null;
+        throw err;
+      }
+    },
+  };
+}
+
+const S3_UPDATE_ATTEMPTS = 10;
+
+const stores = {
+  file: createFileJobStore,
+  memory: createMemoryJobStore,
+  s3: createS3JobStore,
+};
+
+let sharedStore = null;
+
+// JOB_STORE picks the store; it defaults to s3 when JOBS_S3_BUCKET is set and to file otherwise.
+// The file store is refused on Vercel, where polls and continuations land on other instances
+// that cannot see its directory.
+export function getJobStore() {
+  if (!sharedStore) {
+    const name = process.env.JOB_STORE || (process.env.JOBS_S3_BUCKET ? 's3' : 'file');
+    const factory = stores[name];
+    if (!factory) throw new Error(`Unknown JOB_STORE "${name}" (expected one of: ${Object.keys(stores).join(', ')})`);
+    if (name === 'file' && ['production', 'preview'].includes(process.env.VERCEL_ENV) && !process.env.JOBS_DIR) {
+      throw httpError('Server jobs need a shared job store on Vercel: set JOBS_S3_BUCKET', 501);
+    }
+    sharedStore = factory();
+  }
+  return sharedStore;
+}
+
+// Read-modify-write updates are queued per job so concurrent page workers in one
+// process never overwrite each other's results.
+function serializeUpdates(update) {
+  const queues = new Map();
+  return (id, fn) => {
+    const next = (queues.get(id) || Promise.resolve()).then(() => update(id, fn));
+    const settled = next.catch(() => {});
+    queues.set(id, settled);
+    settled.then(() => {
+      if (queues.get(id) === settled) queues.delete(id);
+    });
+    return next;
+  };
+}
+
+function isMissing(err) {
+  return err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404;
+}
+
+function safeId(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
@@ -0,0 +1,121 @@
+import { templates as allTemplates } from './templates.js';
+
+const quote = (labels) => labels.map((label) => `"${label}"`).join(' / ');
+
+function describeTemplate(template) {
+  return `- ${template.id} (${template.name}): titel ${quote(template.anchors)}; aantal in kolom ${quote(template.columns.aantal)}, `
+    + `unit in kolom ${quote(template.columns.unit)}, datum bij ${quote(template.columns.datum)} (op het document als ${template.dateFormat}); `
+    + `unit moet matchen ${template.unitPattern}.`;
+}
+
+// One prompt per set of candidate templates: a single template for an explicit choice, all of
+// them for auto-detection (the model then reports which layout it recognised per note).
+export function buildSystemPrompt(templates = allTemplates) {
+  const single = templates.length === 1;
+  return `
+Je krijgt een gescande pagina. Zoek alle secties die starten met een van de documenttitels hieronder${single ? '' : ' (kies per sectie de passende layout)'}:
+${templates.map(describeTemplate).join('\n')}
+Voor elke gevonden sectie (hieronder "delivery note" genoemd):
+- Vind de aantal- en unit-kolom van die layout en pak de waarden uit de rijen eronder: elke rij is een regel in lines
+  met aantal en unit (een delivery note kan meerdere regels hebben, bijv. 10 × E15 en 4 × M20). Sla lege rijen en totaalregels over.
+- Datum: als aanwezig, geef DD-MM-YYYY (convert vanuit het datumformaat van de layout).
+- Unit moet matchen met het unit-patroon van de layout, zonder spaties. Bij twijfel: leeg laten en warning zetten.
+- Aantal mag komma decimalen bevatten (12,5).
+- template: het id van de layout waarin je de delivery note vond.
+- Kopgegevens van de CMR/delivery note, alleen als ze leesbaar zijn (anders weglaten):
+  note_number (delivery note nummer), cmr_number, sender (afzender), consignee (ontvanger),
+  delivery_place (plaats van aflevering), vehicle_plate (kenteken trekker), trailer_plate (kenteken oplegger), carrier (vervoerder).
+  Zet bij twijfel over een kopveld een korte uitleg in field_warnings onder de naam van dat veld.
+- Loopt een delivery note door op de volgende pagina (de aantal/unit-tabel gaat door tot onderaan en de sectie eindigt
+  niet op deze pagina): zet continues_on_next = true. Begint de pagina bovenaan met het vervolg van een delivery note van
+  de vorige pagina (tabelrijen zonder eigen documenttitel): geef dat vervolg als aparte delivery note met
+  continued_from_previous = true en vul alleen in wat op deze pagina staat.
+- Regions: geef per delivery note bounding boxes (x, y, width, height) genormaliseerd 0-1 t.o.v. de pagina, oorsprong linksboven:
+  "note" voor de hele delivery note sectie en "datum" voor de datumcel; per regel in lines "aantal" en "unit" voor de cellen
+  waar je die waarden las.
+Output: een array delivery notes met template, datum, lines (aantal als raw string, unit, regions), optioneel de kopgegevens, confidence, warnings,
+field_warnings, regions, continues_on_next en continued_from_previous.
+Als er geen delivery notes zijn: notes = [].
+`;
+}
+
+const box = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number' },
+    height: { type: 'number' },
+  },
+};
+
+export const regionKeys = ['note', 'aantal', 'unit', 'datum'];
+export const lineRegionKeys = ['aantal', 'unit'];
+
+const regions = (keys) => ({
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(keys.map((key) => [key, box])),
+});
+
+export const headerFields = [
+  'note_number',
+  'cmr_number',
+  'sender',
+  'consignee',
+  'delivery_place',
+  'vehicle_plate',
+  'trailer_plate',
+  'carrier',
+];
+
+export function buildSchema(templates = allTemplates) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['notes'],
+    properties: {
+      notes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['template', 'datum', 'lines'],
+          properties: {
+            template: { type: 'string', enum: templates.map((template) => template.id) },
+            datum: { type: 'string' },
+            lines: {
+              type: 'array',
+              items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['aantal', 'unit'],
+                properties: {
+                  aantal: { type: 'string' },
+                  unit: { type: 'string' },
+                  regions: regions(lineRegionKeys),
+                },
+              },
+            },
+            ...Object.fromEntries(headerFields.map((field) => [field, { type: 'string' }])),
+            confidence: { type: 'number' },
+            continues_on_next: { type: 'boolean' },
+            continued_from_previous: { type: 'boolean' },
+            warnings: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            field_warnings: {
+              type: 'object',
+              additionalProperties: false,
+              properties: Object.fromEntries(headerFields.map((field) => [field, { type: 'string' }])),
+            },
+            regions: regions(['note', 'datum']),
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,16 @@
+// `retryable` tells callers whether the same request may succeed later; configuration problems
+// such as a missing API key never will.
+export function providerError(message, statusCode = 500, { retryable = false } = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.retryable = retryable;
+  return err;
+}
+
+// A failed call to the model API is a 502 for our clients. It is worth retrying when the model
+// API was unreachable, rate limited or failing itself; other answers (bad request, bad key) repeat.
+export function upstreamError(err) {
+  const status = err?.status;
+  const retryable = !status || status === 429 || status >= 500;
+  return providerError(`Model API error${status ? ` ${status}` : ''}: ${err?.message || 'no response'}`, 502, { retryable });
+}
@@ -0,0 +1,50 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { providerError } from './errors.js';
+
+export const defaultFixturesDir = path.join(process.cwd(), 'fixtures', 'extract');
+
+export function imageHash(image) {
+  return createHash('sha256').update(image).digest('hex');
+}
+
+// Replays recorded responses from `<dir>/<sha256 of image>.json`, falling back to
+// `<dir>/default.json` so unrecorded pages still produce a deterministic result.
+export function createFixtureProvider({ dir = process.env.EXTRACT_FIXTURES_DIR || defaultFixturesDir } = {}) {
+  return {
+    name: 'fixture',
+    async extract({ image }) {
+      const hash = imageHash(image);
+      const recorded = await readFixture(path.join(dir, `${hash}.json`))
+        ?? await readFixture(path.join(dir, 'default.json'));
+      if (!recorded) {
+        throw providerError(`No fixture recorded for image ${hash}`, 404);
+      }
+      return { notes: recorded.notes || [] };
+    },
+  };
+}
+
+// Wraps another provider and stores every response as a fixture for later replay.
+export function withFixtureRecording(provider, { dir = process.env.EXTRACT_FIXTURES_DIR || defaultFixturesDir } = {}) {
+  return {
+    name: `${provider.name}+record`,
+    async extract(input) {
+      const result = await provider.extract(input);
+      await mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${imageHash(input.image)}.json`);
+      await writeFile(file, `${JSON.stringify({ notes: result.notes || [] }, null, 2)}\n`);
+      return result;
+    },
+  };
+}
+
+async function readFixture(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
@@ -0,0 +1,21 @@
+import { providerError } from './errors.js';
+import { createFixtureProvider, withFixtureRecording } from './fixture.js';
+import { createOpenAIProvider } from './openai.js';
+
+// A provider is `{ name, extract({ image, mimeType, meta, templates }) => Promise<{ notes }> }`;
+// `templates` are the candidate layouts from lib/templates.js (providers may ignore them).
+const factories = {
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider,
+};
+
+export function getProvider(name = process.env.EXTRACT_PROVIDER || 'openai') {
+  const factory = factories[name];
+  if (!factory) {
+    throw providerError(`Unknown EXTRACT_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`, 500);
+  }
+  const provider = factory();
+  return process.env.EXTRACT_RECORD_FIXTURES === '1' && name !== 'fixture'
+    ? withFixtureRecording(provider)
+    : provider;
+}
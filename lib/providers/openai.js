@@ -0,0 +1,50 @@
+import OpenAI from 'openai';
+import { buildSchema, buildSystemPrompt } from '../prompt.js';
+import { providerError, upstreamError } from './errors.js';
+
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || 'gpt-4.1',
+} = {}) {
+  if (!apiKey) {
+    throw providerError('Missing OPENAI_API_KEY', 500);
+  }
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    model,
+    async extract({ image, mimeType, templates }) {
+      const base64 = image.toString('base64');
+      let response;
+      try {
+        response = await openai.responses.create({
+          model,
+          input: [
+            { role: 'system', content: buildSystemPrompt(templates).trim() },
+            {
+              role: 'user',
+              content: [
+                { type: 'text', text: 'Extract delivery notes from this page and return strict JSON.' },
+                { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } },
+              ],
+            },
+          ],
+          output: {
+            type: 'json_schema',
+            json_schema: {
+              name: 'delivery_notes',
+              schema: buildSchema(templates),
+              strict: true,
+            },
+          },
+        });
+      } catch (err) {
+        throw upstreamError(err);
+      }
+
+      const parsed = response.output?.[0]?.parsed || response.output_parsed || {};
+      return { notes: parsed.notes || [] };
+    },
+  };
+}
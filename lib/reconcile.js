@@ -0,0 +1,175 @@
+import { lineEntries, parseDatum, toNumber } from './derive.js';
+
+// Matches extracted rows against an orders CSV: which order lines were delivered in full, short,
+// over or not at all, and which notes match no order. Pure functions, used by the browser app.
+
+const ORDER_COLUMNS = {
+  datum: ['date', 'datum', 'delivery_date', 'leverdatum', 'afleverdatum', 'lieferdatum'],
+  unit: ['unit', 'eenheid', 'einheit'],
+  quantity: ['quantity', 'qty', 'expected', 'expected_quantity', 'aantal', 'menge'],
+  reference: ['reference', 'ref', 'order', 'order_number', 'note_number', 'referentie', 'bestelnummer', 'referenz'],
+};
+export const RECONCILE_STATUSES = ['short', 'over', 'missing', 'unexpected', 'matched'];
+
+// Header names are matched loosely (see ORDER_COLUMNS); the delimiter is whichever of , ; or tab
+// splits the header into the most columns.
+export function parseOrdersCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim());
+  if (!lines.length) throw new Error('the file is empty');
+  const delimiter = [',', ';', '\t'].sort((a, b) => splitCsvLine(lines[0], b).length - splitCsvLine(lines[0], a).length)[0];
+  const header = splitCsvLine(lines[0], delimiter).map((h) => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  const index = {};
+  Object.entries(ORDER_COLUMNS).forEach(([field, names]) => {
+    index[field] = header.findIndex((h) => names.includes(h));
+  });
+  const missing = ['datum', 'unit', 'quantity'].filter((field) => index[field] < 0);
+  if (missing.length) throw new Error(`missing column(s) ${missing.join(', ')}`);
+
+  const orders = [];
+  const skipped = [];
+  lines.slice(1).forEach((line, i) => {
+    const cells = splitCsvLine(line, delimiter).map((c) => c.trim());
+    const datum = cells[index.datum] || '';
+    const datum_iso = parseDatum(datum, []);
+    const unit = (cells[index.unit] || '').toUpperCase().replace(/\s+/g, '');
+    const quantity = toNumber(cells[index.quantity]);
+    if (!datum_iso || !unit || quantity == null) {
+      skipped.push(i + 2);
+      return;
+    }
+    orders.push({
+      id: `o${i + 2}`,
+      datum,
+      datum_iso,
+      unit,
+      quantity,
+      reference: index.reference >= 0 ? cells[index.reference] || '' : '',
+    });
+  });
+  return { orders, skipped };
+}
+
+// Rows are matched to orders by reference first (note or CMR number after OCR normalisation;
+// no edit-distance tolerance, since consecutive note numbers differ by one digit), then by date
+// and unit, filling the order with the most left to deliver. A reference match only counts for an
+// order line of the same unit; a line of another unit falls through to date and unit.
+// Matches per line item: a note's lines may belong to different order lines under one reference.
+// Orders are indexed once by normalised reference and by date + unit, so each line item looks
+// up its candidates instead of scanning every order.
+export function reconcile(orders, allRows) {
+  const rows = allRows.filter((r) => r.review?.status !== 'rejected').flatMap(lineEntries);
+  const results = orders.map((order, index) => ({ order, index, rows: [], delivered: 0 }));
+  const unmatched = [];
+  const byReference = new Map();
+  const byDayUnit = new Map();
+  const index = (map, key, result) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(result);
+  };
+  results.forEach((result) => {
+    const ref = normalizeOcr(result.order.reference);
+    if (ref) index(byReference, `${ref}|${result.order.unit}`, result);
+    index(byDayUnit, `${result.order.datum_iso}|${result.order.unit}`, result);
+  });
+  const assign = (result, row) => {
+    result.rows.push(row);
+    result.delivered += toNumber(row.aantal) || 0;
+  };
+
+  const withoutReference = [];
+  rows.forEach((row) => {
+    const refs = new Set([row.note_number, row.cmr_number].map(normalizeOcr).filter(Boolean));
+    const byRef = [...refs].flatMap((ref) => byReference.get(`${ref}|${row.unit}`) || []).sort((a, b) => a.index - b.index);
+    if (byRef.length) assign(byRef[0], row);
+    else withoutReference.push(row);
+  });
+  withoutReference.forEach((row) => {
+    const candidates = byDayUnit.get(`${row.datum_iso}|${row.unit}`);
+    if (!candidates) {
+      unmatched.push(row);
+      return;
+    }
+    const best = candidates.reduce((a, b) => (b.order.quantity - b.delivered > a.order.quantity - a.delivered ? b : a));
+    assign(best, row);
+  });
+
+  results.forEach((result) => {
+    const difference = result.delivered - result.order.quantity;
+    if (!result.rows.length) result.status = 'missing';
+    else if (Math.abs(difference) < 1e-9) result.status = 'matched';
+    else result.status = difference < 0 ? 'short' : 'over';
+  });
+  return { results, unmatched };
+}
+
+// One line per order plus one per note that matched no order, worst problems first.
+export function reconciliationLines({ results, unmatched }) {
+  const sources = (rows) => rows.map((r) => `${r.note_number || '-'} (${r.fileName} p${r.pageIndex})`).join('; ');
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const lines = [
+    ...results.map(({ order, rows, delivered, status }) => ({
+      status,
+      reference: order.reference,
+      datum: order.datum,
+      datum_iso: order.datum_iso,
+      unit: order.unit,
+      expected: order.quantity,
+      delivered: round(delivered),
+      difference: round(delivered - order.quantity),
+      sources: sources(rows),
+      rowId: rows.length === 1 ? rows[0].id : '',
+    })),
+    ...unmatched.map((row) => ({
+      status: 'unexpected',
+      reference: row.note_number,
+      datum: row.datum,
+      datum_iso: row.datum_iso,
+      unit: row.unit,
+      expected: null,
+      delivered: toNumber(row.aantal),
+      difference: toNumber(row.aantal),
+      sources: sources([row]),
+      rowId: row.id,
+    })),
+  ];
+  return lines.sort((a, b) => RECONCILE_STATUSES.indexOf(a.status) - RECONCILE_STATUSES.indexOf(b.status)
+    || String(a.datum_iso || '').localeCompare(String(b.datum_iso || '')));
+}
+
+// Reads letters OCR commonly mistakes for digits as those digits, so "DN-1OO236" and "DN100236"
+// compare equal. Also used by the app's duplicate detection.
+export function normalizeOcr(value) {
+  const map = { O: '0', Q: '0', D: '0', I: '1', L: '1', S: '5', B: '8', Z: '2', G: '6' };
+  return String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/[OQDILSBZG]/g, (ch) => map[ch]);
+}
+
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
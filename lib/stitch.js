@@ -0,0 +1,94 @@
+import { HEADER_FIELDS, noteLines } from './derive.js';
+
+// Joins delivery notes that run over several pages of one file. The model marks a note whose
+// table goes on past the bottom of the page (`continues_on_next`) and the untitled part at the top
+// of the next page (`continued_from_previous`); this module pairs those parts up. Shared by the
+// browser app, which stitches rows as pages come in (in any order), and the CLI.
+//
+// A part is `{ note, fileName, sources }` where sources lists `{ fileName, pageIndex, noteIndex }`
+// for every page the part already covers, in page order.
+
+const NOTE_FIELDS = ['template', 'datum', ...HEADER_FIELDS.map((f) => f.key)];
+
+// Returns the next `[head, tail]` pair to join, or null. The head is the last continuing note on
+// its final page, the tail the first continued note on the page right after it.
+export function findContinuation(parts) {
+  const tails = new Map();
+  parts.forEach((part) => {
+    if (!part.note?.continued_from_previous) return;
+    const first = filePages(part)[0];
+    if (!first) return;
+    const key = `${part.fileName}|${first.pageIndex}`;
+    const current = tails.get(key);
+    if (!current || first.noteIndex < filePages(current)[0].noteIndex) tails.set(key, part);
+  });
+  if (!tails.size) return null;
+
+  const heads = new Map();
+  parts.forEach((part) => {
+    if (!part.note?.continues_on_next) return;
+    const last = filePages(part).at(-1);
+    if (!last) return;
+    const key = `${part.fileName}|${last.pageIndex + 1}`;
+    const current = heads.get(key);
+    if (!current || last.noteIndex > filePages(current).at(-1).noteIndex) heads.set(key, part);
+  });
+  for (const [key, head] of heads) {
+    const tail = tails.get(key);
+    if (tail && tail !== head) return [head, tail];
+  }
+  return null;
+}
+
+// Appends the tail's line items to the head's and fills the head's empty fields from the tail.
+// Values both parts read differently are kept from the head and reported as warnings; the joined
+// note continues/was continued where its ends do.
+export function joinNotes(head, tail) {
+  const joined = { ...head, lines: [...ownLines(head), ...ownLines(tail)] };
+  const conflicts = [];
+  NOTE_FIELDS.forEach((field) => {
+    const value = typeof tail[field] === 'string' ? tail[field].trim() : '';
+    if (!value) return;
+    const current = typeof joined[field] === 'string' ? joined[field].trim() : '';
+    if (!current) joined[field] = value;
+    else if (current !== value) conflicts.push(`${field} on the next page reads "${value}", kept "${current}".`);
+  });
+  const confidences = [head.confidence, tail.confidence].filter((c) => typeof c === 'number');
+  return {
+    ...joined,
+    confidence: confidences.length ? Math.min(...confidences) : head.confidence,
+    warnings: unique([...(head.warnings || []), ...(tail.warnings || []), ...conflicts]),
+    field_warnings: { ...(tail.field_warnings || {}), ...(head.field_warnings || {}) },
+    template_warnings: unique([...(head.template_warnings || []), ...(tail.template_warnings || [])]),
+    continued_from_previous: Boolean(head.continued_from_previous),
+    continues_on_next: Boolean(tail.continues_on_next),
+  };
+}
+
+// Joins every continuation in `parts`; returns the remaining parts in their original order.
+export function stitchParts(parts) {
+  let remaining = parts;
+  let pair = findContinuation(remaining);
+  while (pair) {
+    const [head, tail] = pair;
+    const joined = { ...head, note: joinNotes(head.note, tail.note), sources: [...head.sources, ...tail.sources] };
+    remaining = remaining.filter((part) => part !== tail).map((part) => (part === head ? joined : part));
+    pair = findContinuation(remaining);
+  }
+  return remaining;
+}
+
+// Line items as returned by the model; a note from before line items counts as one line when it
+// has a quantity or unit, so an empty head does not leave a blank first line.
+export function ownLines(note) {
+  if (Array.isArray(note.lines)) return note.lines;
+  return noteLines(note).filter((line) => [line.aantal, line.unit].some((value) => String(value ?? '').trim()));
+}
+
+function filePages(part) {
+  return part.sources.filter((source) => source.fileName === part.fileName);
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
@@ -0,0 +1,112 @@
+import { httpError } from './guard.js';
+
+// Document layouts the extractor knows about. A template tells the model which section titles
+// start a note, which column labels hold the values, how the document writes dates and what a
+// valid unit looks like; lib/extraction.js validates the answers against the same data.
+// Pages are sent with one template id, or "auto" to let the model pick per note.
+
+export const AUTO_TEMPLATE = 'auto';
+
+const UNIT_LETTER_DIGITS = '^[A-Z][0-9]{2}$';
+
+export const templates = [
+  {
+    id: 'delivery-note',
+    name: 'Delivery note (EN)',
+    language: 'en',
+    anchors: ['Delivery note'],
+    columns: {
+      aantal: ['Quantity', 'Qty'],
+      unit: ['Unit'],
+      datum: ['Date', 'Delivery date'],
+    },
+    unitPattern: UNIT_LETTER_DIGITS,
+    dateFormat: 'DD-MM-YYYY',
+  },
+  {
+    id: 'afleverbon',
+    name: 'Afleverbon (NL)',
+    language: 'nl',
+    anchors: ['Afleverbon', 'Pakbon', 'Leveringsbon'],
+    columns: {
+      aantal: ['Aantal', 'Aant.', 'Colli'],
+      unit: ['Eenheid', 'Verpakking', 'Emballage'],
+      datum: ['Datum', 'Afleverdatum', 'Leverdatum'],
+    },
+    unitPattern: UNIT_LETTER_DIGITS,
+    dateFormat: 'DD-MM-YYYY',
+  },
+  {
+    id: 'lieferschein',
+    name: 'Lieferschein (DE)',
+    language: 'de',
+    anchors: ['Lieferschein'],
+    columns: {
+      aantal: ['Menge', 'Anzahl', 'Stück'],
+      unit: ['Einheit', 'Packmittel', 'VE'],
+      datum: ['Datum', 'Lieferdatum'],
+    },
+    unitPattern: UNIT_LETTER_DIGITS,
+    dateFormat: 'DD.MM.YYYY',
+  },
+];
+
+export function getTemplate(id) {
+  return templates.find((template) => template.id === id) || null;
+}
+
+// Returns the templates a page may match: all of them for "auto", otherwise the one asked for.
+export function resolveTemplates(id = AUTO_TEMPLATE) {
+  if (!id || id === AUTO_TEMPLATE) return templates;
+  const template = getTemplate(id);
+  if (!template) {
+    throw httpError(`Unknown template "${id}" (expected ${AUTO_TEMPLATE} or one of: ${templates.map((t) => t.id).join(', ')})`, 400);
+  }
+  return [template];
+}
+
+// Records which template a note was read with and checks it against that template. Problems go
+// into `template_warnings` so the client can tell them apart from the model's own warnings.
+export function applyTemplate(note, candidates) {
+  const template = candidates.find((t) => t.id === note.template)
+    || (candidates.length === 1 ? candidates[0] : null);
+  if (!template) return { ...note, template: '' };
+
+  const warnings = [];
+  const datum = toDayMonthYear(note.datum, template.dateFormat);
+  const checkUnit = (value, label = 'Unit') => {
+    const unit = typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : value;
+    if (unit && !new RegExp(template.unitPattern).test(unit)) {
+      warnings.push(`${label} "${unit}" does not match the ${template.name} unit format.`);
+    }
+    return unit;
+  };
+  const lines = Array.isArray(note.lines)
+    ? { lines: note.lines.map((line, i) => ({ ...line, unit: checkUnit(line.unit, note.lines.length > 1 ? `Line ${i + 1}: unit` : 'Unit') })) }
+    : {};
+  return {
+    ...note,
+    datum,
+    unit: checkUnit(note.unit),
+    ...lines,
+    template: template.id,
+    ...(warnings.length ? { template_warnings: warnings } : {}),
+  };
+}
+
+// The prompt asks for DD-MM-YYYY, but models sometimes copy the document's own notation;
+// rewrite dates that match the template's format instead of leaving them for the client to flag.
+function toDayMonthYear(datum, format) {
+  if (typeof datum !== 'string' || format === 'DD-MM-YYYY') return datum;
+  const order = [];
+  const source = format.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/YYYY|YY|DD|MM/g, (token) => {
+    order.push(token);
+    return token.length === 4 ? '(\\d{4})' : '(\\d{1,2})';
+  });
+  const match = new RegExp(`^${source}$`).exec(datum.trim());
+  if (!match) return datum;
+  const parts = Object.fromEntries(order.map((token, i) => [token, match[i + 1]]));
+  const year = parts.YYYY || (parts.YY ? `20${parts.YY.padStart(2, '0')}` : '');
+  if (!year) return datum;
+  return `${parts.DD.padStart(2, '0')}-${parts.MM.padStart(2, '0')}-${year}`;
+}
@@ -0,0 +1,81 @@
+import Busboy from 'busboy';
+import { httpError } from './guard.js';
+
+const MB = 1024 * 1024;
+
+export const uploadLimits = {
+  image: { fileSize: Number(process.env.EXTRACT_MAX_IMAGE_BYTES) || 4 * MB, files: 1 },
+  pdf: { fileSize: Number(process.env.JOBS_MAX_PDF_BYTES) || 4 * MB, files: 20 },
+  // Files one server job may collect over several uploads.
+  jobFiles: Number(process.env.JOBS_MAX_FILES) || 200,
+};
+
+// Parses a multipart body into `{ files: [{ fieldName, fileName, mimeType, buffer }], fields }`.
+// Oversized files reject with 413, too many files or fields with 400; callers still sniff the
+// bytes because the declared content type comes from the client.
+export function parseUploads(req, { fileSize, files: maxFiles, fields: maxFields = 5, fieldSize = 16 * 1024 }) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { fileSize, files: maxFiles, fields: maxFields, fieldSize },
+      });
+    } catch (err) {
+      reject(httpError(`Invalid upload: ${err.message}`, 400));
+      return;
+    }
+    const files = [];
+    const fields = {};
+    let failed = null;
+    const fail = (err) => {
+      if (!failed) failed = err;
+    };
+
+    busboy.on('file', (fieldName, file, info) => {
+      const chunks = [];
+      file.on('data', (data) => chunks.push(data));
+      file.on('limit', () => {
+        fail(httpError(`${info.filename || 'Upload'} is larger than ${formatBytes(fileSize)}`, 413));
+        file.resume();
+      });
+      file.on('end', () => {
+        if (failed) return;
+        files.push({
+          fieldName,
+          fileName: info.filename || `upload-${files.length + 1}`,
+          mimeType: info.mimeType,
+          buffer: Buffer.concat(chunks),
+        });
+      });
+    });
+    busboy.on('field', (name, val, info) => {
+      if (info.valueTruncated) fail(httpError(`Field "${name}" is too long`, 400));
+      fields[name] = val;
+    });
+    busboy.on('filesLimit', () => fail(httpError(`At most ${maxFiles} file(s) per request`, 400)));
+    busboy.on('fieldsLimit', () => fail(httpError('Too many form fields', 400)));
+    busboy.on('error', (err) => reject(httpError(`Invalid upload: ${err.message}`, 400)));
+    busboy.on('close', () => (failed ? reject(failed) : resolve({ files, fields })));
+    req.pipe(busboy);
+  });
+}
+
+export function sniffImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+export function isPdf(buffer) {
+  return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function formatBytes(bytes) {
+  return bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+}
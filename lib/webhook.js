@@ -0,0 +1,62 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Outbound batch delivery. Each request carries
+//   X-CMR-Delivery:  id that stays the same across retries, so receivers can drop repeats
+//   X-CMR-Timestamp: unix seconds when this attempt was signed
+//   X-CMR-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the shared secret>
+// Network errors, timeouts, 429 and 5xx are retried; other 4xx mean the receiver refused the
+// payload and retrying won't help.
+
+const RETRY_DELAYS = [1000, 3000, 9000];
+const ATTEMPT_TIMEOUT_MS = 10_000;
+const MAX_SKEW_SECONDS = 300;
+
+export function signPayload(body, secret, timestamp) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function verifySignature(body, secret, { timestamp, signature }, now = Date.now()) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return false;
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Returns `{ delivered, attempts: [{ at, status, error }] }`; never throws for delivery failures.
+export async function deliverWebhook({ url, secret, deliveryId, payload }, {
+  delays = RETRY_DELAYS,
+  timeoutMs = ATTEMPT_TIMEOUT_MS,
+  fetchImpl = fetch,
+} = {}) {
+  const body = JSON.stringify(payload);
+  const attempts = [];
+  for (let attempt = 0; ; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const record = { at: new Date().toISOString(), status: 0, error: '' };
+    attempts.push(record);
+    try {
+      const res = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cmr-extractor',
+          'X-CMR-Delivery': deliveryId,
+          'X-CMR-Timestamp': timestamp,
+          'X-CMR-Signature': signPayload(body, secret, timestamp),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      record.status = res.status;
+      if (res.ok) return { delivered: true, attempts };
+      record.error = (await res.text().catch(() => '')).slice(0, 200) || res.statusText || `HTTP ${res.status}`;
+      if (res.status !== 429 && res.status < 500) return { delivered: false, attempts };
+    } catch (err) {
+      record.error = err.name === 'TimeoutError' ? `No response within ${timeoutMs / 1000}s` : err.message;
+    }
+    const delay = delays[attempt];
+    if (delay === undefined) return { delivered: false, attempts };
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
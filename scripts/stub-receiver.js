@@ -0,0 +1,52 @@
+import http from 'node:http';
+import { verifySignature } from '../lib/webhook.js';
+
+// Local stand-in for the ERP endpoint:
+//   PUSH_WEBHOOK_SECRET=dev node scripts/stub-receiver.js
+//   PUSH_WEBHOOK_URL=http://localhost:4001/ PUSH_WEBHOOK_SECRET=dev EXTRACT_ACCESS_TOKEN=dev vercel dev
+// STUB_FAIL_FIRST=n answers 503 to the first n attempts of each delivery to exercise retries.
+// Repeated delivery ids are acknowledged but not logged twice, as a real receiver should.
+
+const port = Number(process.env.PORT) || 4001;
+const secret = process.env.PUSH_WEBHOOK_SECRET;
+const failFirst = Number(process.env.STUB_FAIL_FIRST) || 0;
+const attempts = new Map();
+const received = new Set();
+
+if (!secret) {
+  console.error('Set PUSH_WEBHOOK_SECRET to the same value the API uses.');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const deliveryId = req.headers['x-cmr-delivery'] || '';
+    const reply = (status, message) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(message);
+      console.log(`${new Date().toISOString()} ${deliveryId || '-'} → ${status} ${message}`);
+    };
+
+    if (req.method !== 'POST') return reply(405, 'POST only');
+    const signed = verifySignature(body, secret, {
+      timestamp: req.headers['x-cmr-timestamp'],
+      signature: req.headers['x-cmr-signature'],
+    });
+    if (!signed) return reply(401, 'bad signature');
+
+    const count = (attempts.get(deliveryId) || 0) + 1;
+    attempts.set(deliveryId, count);
+    if (count <= failFirst) return reply(503, `simulated failure ${count}/${failFirst}`);
+    if (received.has(deliveryId)) return reply(200, 'duplicate, ignored');
+    received.add(deliveryId);
+
+    const payload = JSON.parse(body);
+    const part = payload.parts > 1 ? `, part ${payload.part}/${payload.parts}` : '';
+    return reply(200, `batch "${payload.batch?.name}" with ${payload.rowCount} row(s)${part}`);
+  });
+});
+
+server.listen(port, () => console.log(`Stub receiver listening on http://localhost:${port}/`));
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, afterEach, describe, it } from 'node:test';
+import { cacheKey, cachedExtractNotes, createFileCache, getCache } from '../lib/cache.js';
+
+const dir = await mkdtemp(path.join(os.tmpdir(), 'cmr-cache-test-'));
+after(() => rm(dir, { recursive: true, force: true }));
+
+const image = Buffer.from('page image');
+const input = { image, mimeType: 'image/png', template: 'auto' };
+
+// Counts extractions so a cache hit shows as no new call.
+function provider(name = 'test') {
+  const counter = { calls: 0 };
+  return Object.assign(counter, {
+    name,
+    async extract() {
+      counter.calls += 1;
+      return { notes: [{ datum: '12-03-2024', note_number: `call ${counter.calls}`, lines: [] }] };
+    },
+  });
+}
+
+describe('file cache', () => {
+  it('serves a hit from a new store instance on the same directory', async () => {
+    const extractor = provider();
+    const first = await cachedExtractNotes(input, extractor, { cache: createFileCache({ dir }) });
+    const second = await cachedExtractNotes(input, extractor, { cache: createFileCache({ dir }) });
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(extractor.calls, 1);
+    assert.deepEqual(second.notes, first.notes);
+  });
+
+  it('keys entries by provider and template as well as the image', async () => {
+    const extractor = provider('other');
+    const cache = createFileCache({ dir });
+    await cachedExtractNotes(input, extractor, { cache });
+    await cachedExtractNotes({ ...input, template: 'lieferschein' }, extractor, { cache });
+    assert.equal(extractor.calls, 2);
+    assert.notEqual(cacheKey(image, extractor, 'auto'), cacheKey(image, provider('test'), 'auto'));
+  });
+
+  it('extracts again when forced and keeps the fresh answer', async () => {
+    const extractor = provider('forced');
+    const cache = createFileCache({ dir });
+    await cachedExtractNotes(input, extractor, { cache });
+    const forced = await cachedExtractNotes(input, extractor, { cache, force: true });
+    const next = await cachedExtractNotes(input, extractor, { cache });
+    assert.equal(forced.cached, false);
+    assert.equal(next.notes[0].note_number, 'call 2');
+  });
+});
+
+describe('EXTRACT_CACHE', () => {
+  afterEach(() => {
+    delete process.env.EXTRACT_CACHE;
+    delete process.env.EXTRACT_CACHE_DIR;
+  });
+
+  it('bypasses the cache when off', async () => {
+    process.env.EXTRACT_CACHE = 'off';
+    const extractor = provider('uncached');
+    const first = await cachedExtractNotes(input, extractor);
+    const second = await cachedExtractNotes(input, extractor);
+    assert.deepEqual([first.cached, second.cached, extractor.calls], [false, false, 2]);
+  });
+
+  it('picks the file cache by default', () => {
+    process.env.EXTRACT_CACHE_DIR = dir;
+    assert.equal(getCache().name, 'file');
+    assert.equal(getCache('memory').name, 'memory');
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_RULES, deriveFields, lineEntries, parseDatum, toIsoDate } from '../lib/derive.js';
+
+const anyDay = { ...DEFAULT_RULES.dates, maxPastDays: 100000, maxFutureDays: 100000 };
+const rules = { ...DEFAULT_RULES, dates: anyDay };
+const meta = { fileName: 'test.pdf', fileIndex: 0, pageIndex: 1 };
+const quantities = ({ aantal, unit, hoogte_enkel, hoogte_stack, aantal2, pallet }) => ({ aantal, unit, hoogte_enkel, hoogte_stack, aantal2, pallet });
+
+function read(datum, limits = anyDay) {
+  const warnings = [];
+  return { iso: parseDatum(datum, warnings, limits), warnings };
+}
+
+describe('parseDatum', () => {
+  it('reads numeric and written-out notations without warnings', () => {
+    [
+      ['02-01-2024', '2024-01-02'],
+      ['15.12.23', '2023-12-15'],
+      ['1/3/2026', '2026-03-01'],
+      ['2024-03-12', '2024-03-12'],
+      ['3 maart 2024', '2024-03-03'],
+      ['March 12, 2024', '2024-03-12'],
+      ['12. März 24', '2024-03-12'],
+    ].forEach(([datum, iso]) => assert.deepEqual(read(datum), { iso, warnings: [] }, datum));
+  });
+
+  it('flags missing, unreadable and impossible dates', () => {
+    assert.deepEqual(read(''), { iso: null, warnings: ['Missing datum.'] });
+    assert.deepEqual(read('morgen'), { iso: null, warnings: ['Datum format not recognised.'] });
+    assert.deepEqual(read('31-02-2024'), { iso: null, warnings: ['Datum is not a valid date.'] });
+    assert.deepEqual(read('2024-13-01'), { iso: null, warnings: ['Datum is not a valid date.'] });
+  });
+
+  it('flags dates outside the configured range', () => {
+    const day = (offset) => {
+      const date = new Date();
+      date.setDate(date.getDate() + offset);
+      return toIsoDate(date);
+    };
+    assert.deepEqual(read(day(-400), DEFAULT_RULES.dates).warnings, ['Datum is more than 365 days in the past.']);
+    assert.deepEqual(read(day(20), DEFAULT_RULES.dates).warnings, ['Datum is 20 days in the future.']);
+    assert.deepEqual(read(day(-30), DEFAULT_RULES.dates).warnings, []);
+  });
+});
+
+describe('deriveFields', () => {
+  it('derives heights, floor places and pallet type from the unit', () => {
+    const derive = (aantal, unit) => quantities(deriveFields({ datum: '01-01-2024', aantal, unit }, meta, rules));
+    assert.deepEqual(derive('10', 'E28'), { aantal: '10', unit: 'E28', hoogte_enkel: 280, hoogte_stack: 280, aantal2: 10, pallet: 'EURO' });
+    assert.deepEqual(derive('9', 'E15'), { aantal: '9', unit: 'E15', hoogte_enkel: 150, hoogte_stack: 300, aantal2: 5, pallet: 'EURO' });
+    assert.deepEqual(derive('12,5', 'E20'), { aantal: '12,5', unit: 'E20', hoogte_enkel: 200, hoogte_stack: 200, aantal2: 13, pallet: 'EURO' });
+    assert.equal(derive('8', 'M15').pallet, 'BLOK');
+    assert.equal(derive('5', 'A20').pallet, 'EURO');
+  });
+
+  it('warns about an invalid unit', () => {
+    const row = deriveFields({ datum: '01-01-2024', aantal: '7', unit: 'E2X' }, meta, rules);
+    assert.equal(row.hoogte_enkel, null);
+    assert.equal(row.hoogte_stack, null);
+    assert.ok(row.warnings.includes('Unit invalid; hoogte_enkel missing.'));
+  });
+
+  it('derives each line item and totals them on the note', () => {
+    const lines = [{ aantal: '10', unit: 'E15' }, { aantal: '4', unit: 'M20' }];
+    const row = deriveFields({ datum: '01-01-2024', lines }, meta, rules);
+    assert.deepEqual(row.lines, [
+      { aantal: '10', unit: 'E15', hoogte_enkel: 150, hoogte_stack: 300, aantal2: 5, pallet: 'EURO' },
+      { aantal: '4', unit: 'M20', hoogte_enkel: 200, hoogte_stack: 200, aantal2: 4, pallet: 'BLOK' },
+    ]);
+    assert.deepEqual(quantities(row), { aantal: '14', unit: 'E15 + M20', hoogte_enkel: 200, hoogte_stack: 300, aantal2: 9, pallet: 'EURO + BLOK' });
+    assert.deepEqual(row.warnings, []);
+    assert.deepEqual(lineEntries(row).map((entry) => [entry.line, entry.line_count, entry.unit, entry.datum_iso]), [
+      [1, 2, 'E15', '2024-01-01'],
+      [2, 2, 'M20', '2024-01-01'],
+    ]);
+  });
+
+  it('prefixes line warnings with the line number', () => {
+    const row = deriveFields({ datum: '01-01-2024', lines: [{ aantal: '2', unit: 'E15' }, { aantal: '', unit: 'E2X' }] }, meta, rules);
+    assert.equal(row.aantal, '');
+    assert.ok(row.warnings.length > 0);
+    assert.ok(row.warnings.every((warning) => warning.startsWith('Line 2: ')), row.warnings.join(' | '));
+  });
+});
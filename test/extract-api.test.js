@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { afterEach, describe, it } from 'node:test';
+
+// Drives api/extract.js the way the platform does, with the fixture provider behind it, to check
+// what a client sees for each refusal. The size limit is read when lib/uploads.js loads.
+process.env.EXTRACT_PROVIDER = 'fixture';
+process.env.EXTRACT_FIXTURES_DIR = path.join(import.meta.dirname, '..', 'fixtures', 'extract');
+process.env.EXTRACT_CACHE = 'off';
+process.env.EXTRACT_MAX_IMAGE_BYTES = '1024';
+const { default: extract } = await import('../api/extract.js');
+const { upstreamError } = await import('../lib/providers/errors.js');
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+let client = 0;
+
+async function post(image, { headers = {}, name = 'page.png' } = {}) {
+  const form = new FormData();
+  form.append('image', new Blob([image]), name);
+  const response = new Response(form);
+  const req = Readable.from([Buffer.from(await response.arrayBuffer())]);
+  client += 1;
+  Object.assign(req, {
+    method: 'POST',
+    headers: { 'content-type': response.headers.get('content-type'), 'x-real-ip': `198.51.100.${client}`, ...headers },
+    socket: {},
+  });
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, headers: this.headers, body });
+      },
+    };
+    extract(req, res);
+  });
+}
+
+describe('api/extract', () => {
+  afterEach(() => {
+    delete process.env.EXTRACT_ACCESS_TOKEN;
+    delete process.env.RATE_LIMIT_PER_MINUTE;
+  });
+
+  it('extracts an image', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { status, body, headers } = await post(png);
+    assert.equal(status, 200);
+    assert.equal(body.notes.length, 2);
+    assert.equal(headers['X-Extract-Cache'], 'miss');
+  });
+
+  it('answers 401 without the access token', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    process.env.EXTRACT_ACCESS_TOKEN = 'secret';
+    const refused = await post(png);
+    assert.equal(refused.status, 401);
+    assert.equal(refused.headers['WWW-Authenticate'], 'Bearer');
+    assert.equal((await post(png, { headers: { authorization: 'Bearer secret' } })).status, 200);
+  });
+
+  it('answers 413 for images over EXTRACT_MAX_IMAGE_BYTES', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const { status, body } = await post(Buffer.concat([png, Buffer.alloc(2048)]));
+    assert.equal(status, 413);
+    assert.match(body.error, /larger than 1 KB/);
+  });
+
+  it('answers 415 for uploads that are not images, whatever their name', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const { status, body } = await post(Buffer.from('%PDF-1.4'), { name: 'page.png' });
+    assert.equal(status, 415);
+    assert.match(body.error, /page\.png is not a PNG, JPEG or WebP image/);
+  });
+
+  it('answers 429 once a client has spent its requests', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    process.env.RATE_LIMIT_PER_MINUTE = '1';
+    const headers = { 'x-real-ip': '198.51.100.250' };
+    assert.equal((await post(png, { headers })).status, 200);
+    const limited = await post(png, { headers });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+    assert.equal(limited.body.retryable, true);
+  });
+
+  it('tells the client not to retry configuration errors', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    process.env.EXTRACT_PROVIDER = 'openai';
+    const key = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+      const { status, body } = await post(png);
+      assert.equal(status, 500);
+      assert.deepEqual(body, { error: 'Missing OPENAI_API_KEY', retryable: false });
+    } finally {
+      process.env.EXTRACT_PROVIDER = 'fixture';
+      if (key !== undefined) process.env.OPENAI_API_KEY = key;
+    }
+  });
+});
+
+describe('upstreamError', () => {
+  it('answers 502 and marks only transient model API failures retryable', () => {
+    const failure = (status) => upstreamError(Object.assign(new Error('failed'), { status }));
+    assert.deepEqual([502, 429, 500, 503].map((status) => failure(status).retryable), [true, true, true, true]);
+    assert.deepEqual([400, 401, 404].map((status) => failure(status).retryable), [false, false, false]);
+    const unreachable = upstreamError(new Error('Connection error.'));
+    assert.equal(unreachable.statusCode, 502);
+    assert.equal(unreachable.retryable, true);
+    assert.equal(unreachable.message, 'Model API error: Connection error.');
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { cachedExtractNotes, createMemoryCache } from '../lib/cache.js';
+import { DEFAULT_RULES, cloneRules, deriveFields } from '../lib/derive.js';
+import { extractNotes } from '../lib/extraction.js';
+import { createFixtureProvider } from '../lib/providers/fixture.js';
+import { stitchParts } from '../lib/stitch.js';
+
+// Runs the server half of upload → derive → table offline: the fixture provider replays
+// fixtures/extract/default.json for any page image, and the client's derivation turns it into rows.
+// The page image `continuedPage` has its own recording: the rest of default.json's second note.
+
+const dir = path.join(import.meta.dirname, '..', 'fixtures', 'extract');
+const image = Buffer.from('not a recorded page');
+const continuedPage = Buffer.from('continued page');
+// The recorded notes are dated 2024; keep the date range check out of these assertions.
+const rules = { ...cloneRules(DEFAULT_RULES), dates: { ...DEFAULT_RULES.dates, maxPastDays: 100000 } };
+
+describe('fixture provider', () => {
+  it('replays default.json for unrecorded pages', async () => {
+    const notes = await extractNotes({ image, mimeType: 'image/png' }, createFixtureProvider({ dir }));
+    assert.deepEqual(notes.map((n) => [n.template, n.note_number, n.lines.map((line) => `${line.aantal}x${line.unit}`)]), [
+      ['afleverbon', 'AB-24031', ['10xE15', '4xM20']],
+      ['lieferschein', 'LS-5512', ['6xE12']],
+    ]);
+    assert.deepEqual(notes[0].lines[1].regions.unit, { x: 0.3, y: 0.35, width: 0.1, height: 0.04 });
+    assert.equal(notes[1].regions.datum, undefined);
+  });
+
+  it('rewrites dates in the template\'s own notation', async () => {
+    const notes = await extractNotes({ image, mimeType: 'image/png' }, createFixtureProvider({ dir }));
+    assert.deepEqual(notes.map((n) => n.datum), ['12-03-2024', '12-03-2024']);
+  });
+
+  it('replays a recording by page image hash', async () => {
+    const notes = await extractNotes({ image: continuedPage, mimeType: 'image/png' }, createFixtureProvider({ dir }));
+    assert.equal(notes.length, 1);
+    assert.equal(notes[0].continued_from_previous, true);
+  });
+
+  it('serves the second extraction of a page from the cache', async () => {
+    const provider = createFixtureProvider({ dir });
+    const cache = createMemoryCache();
+    const first = await cachedExtractNotes({ image, mimeType: 'image/png' }, provider, { cache });
+    const second = await cachedExtractNotes({ image, mimeType: 'image/png' }, provider, { cache });
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.notes, first.notes);
+  });
+
+  it('yields table rows once derived', async () => {
+    const notes = await extractNotes({ image, mimeType: 'image/png' }, createFixtureProvider({ dir }));
+    const rows = notes.map((note) => deriveFields(note, { fileName: 'a.pdf', pageIndex: 1 }, rules));
+    assert.deepEqual(rows.map((r) => [r.datum_iso, r.aantal, r.unit, r.aantal2, r.pallet]), [
+      ['2024-03-12', '14', 'E15 + M20', 9, 'EURO + BLOK'],
+      ['2024-03-12', '6', 'E12', 3, 'EURO'],
+    ]);
+    assert.deepEqual(rows[0].lines.map((l) => [l.aantal, l.unit, l.hoogte_enkel, l.hoogte_stack, l.aantal2, l.pallet]), [
+      ['10', 'E15', 150, 300, 5, 'EURO'],
+      ['4', 'M20', 200, 200, 4, 'BLOK'],
+    ]);
+    // The second note goes on past this page; on its own it is flagged until page 2 is joined.
+    assert.deepEqual(rows.map((r) => r.warnings), [[], ['Continues on the next page, but no continuation was found there.']]);
+    assert.equal(rows[0].fileName, 'a.pdf');
+  });
+
+  it('stitches a note that continues on the recorded next page', async () => {
+    const provider = createFixtureProvider({ dir });
+    const pages = [[1, image], [2, continuedPage]];
+    const parts = (await Promise.all(pages.map(async ([pageIndex, page]) => {
+      const notes = await extractNotes({ image: page, mimeType: 'image/png' }, provider);
+      return notes.map((note, noteIndex) => ({ note, fileName: 'a.pdf', sources: [{ fileName: 'a.pdf', pageIndex, noteIndex }] }));
+    }))).flat();
+    const stitched = stitchParts(parts);
+    assert.equal(stitched.length, 2);
+    const row = deriveFields(stitched[1].note, { fileName: 'a.pdf', pageIndex: 1 }, rules);
+    assert.deepEqual([row.note_number, row.datum_iso, row.aantal, row.unit], ['LS-5512', '2024-03-12', '9', 'E12']);
+    assert.deepEqual(row.warnings, []);
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { authHeaders, checkAccess, checkRateLimit } from '../lib/guard.js';
+
+const request = (headers = {}, remoteAddress = '10.0.0.1') => ({ headers, socket: { remoteAddress } });
+const status = (statusCode) => (err) => err.statusCode === statusCode;
+
+describe('checkAccess', () => {
+  it('requires the configured bearer token', () => {
+    assert.throws(() => checkAccess(request(), 'secret'), (err) => err.statusCode === 401 && err.headers['WWW-Authenticate'] === 'Bearer');
+    assert.throws(() => checkAccess(request({ authorization: 'Bearer wrong' }), 'secret'), /Invalid access token/);
+    assert.throws(() => checkAccess(request({ authorization: 'secret' }), 'secret'), /Access token required/);
+    assert.doesNotThrow(() => checkAccess(request({ authorization: 'bearer  secret ' }), 'secret'));
+  });
+
+  it('lets every request through without a token, warning once', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    checkAccess(request(), '');
+    checkAccess(request(), '');
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('builds the header the API expects', () => {
+    assert.deepEqual(authHeaders('secret'), { Authorization: 'Bearer secret' });
+    assert.deepEqual(authHeaders(''), {});
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('answers 429 with Retry-After once the limit is spent, per bucket and client', () => {
+    const now = Date.UTC(2026, 9, 1, 12);
+    const client = request({}, '10.0.0.2');
+    checkRateLimit(client, 'test-limit', 2, now);
+    checkRateLimit(client, 'test-limit', 2, now + 1000);
+    assert.throws(() => checkRateLimit(client, 'test-limit', 2, now + 15_000), (err) => err.statusCode === 429 && err.headers['Retry-After'] === '45');
+    assert.doesNotThrow(() => checkRateLimit(client, 'test-other', 2, now + 15_000));
+    assert.doesNotThrow(() => checkRateLimit(request({}, '10.0.0.3'), 'test-limit', 2, now + 15_000));
+    assert.doesNotThrow(() => checkRateLimit(client, 'test-limit', 2, now + 60_000));
+  });
+
+  it('counts by the address the platform saw, not the one the client claims', () => {
+    const now = Date.UTC(2026, 9, 1, 13);
+    const forged = (n) => request({ 'x-forwarded-for': `192.0.2.${n}, 203.0.113.7` });
+    checkRateLimit(forged(1), 'test-forwarded', 1, now);
+    assert.throws(() => checkRateLimit(forged(2), 'test-forwarded', 1, now), status(429));
+    const realIp = (n) => request({ 'x-real-ip': '203.0.113.8', 'x-forwarded-for': `192.0.2.${n}` });
+    checkRateLimit(realIp(1), 'test-real-ip', 1, now);
+    assert.throws(() => checkRateLimit(realIp(2), 'test-real-ip', 1, now), status(429));
+  });
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createJob, jobResults, runJob } from '../lib/jobs/runner.js';
+import { createMemoryJobStore } from '../lib/jobs/store.js';
+
+// Runs jobs over small generated PDFs with a provider that answers per page, so no page is
+// extracted twice and no model is called.
+process.env.EXTRACT_CACHE = 'off';
+
+function pdf(pageCount) {
+  const kids = Array.from({ length: pageCount }, (_, i) => `${i + 3} 0 R`).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids}] /Count ${pageCount} >>`,
+    ...Array.from({ length: pageCount }, () => '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 20 20] >>'),
+  ];
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+// `answer(meta, call)` returns the notes for a page or throws; `call` counts from 1 per page.
+function provider(answer = (meta) => [{ datum: '01-10-2026', note_number: `p${meta.pageIndex}`, lines: [] }]) {
+  const calls = new Map();
+  return {
+    name: 'test',
+    calls,
+    async extract({ meta }) {
+      const key = `${meta.fileIndex}:${meta.pageIndex}`;
+      calls.set(key, (calls.get(key) || 0) + 1);
+      return { notes: await answer(meta, calls.get(key)) };
+    },
+  };
+}
+
+async function newJob(pageCount = 3) {
+  const store = createMemoryJobStore();
+  const job = await createJob(store, [{ fileName: 'a.pdf', buffer: pdf(pageCount) }]);
+  return { store, id: job.id };
+}
+
+const noteNumbers = (results) => results.pages.map((page) => page.notes.map((note) => note.note_number).join());
+
+describe('runJob', () => {
+  it('extracts every page and completes the job', async () => {
+    const { store, id } = await newJob(3);
+    assert.deepEqual(await runJob(store, id, { provider: provider() }), { claimed: true, remaining: false });
+    const job = await store.get(id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.lease, '');
+    assert.deepEqual(job.pages.map((page) => [page.status, page.seq > 0]), [['done', true], ['done', true], ['done', true]]);
+    assert.ok(job.pages.every((page) => !('notes' in page)), 'notes are kept out of the job record');
+    assert.deepEqual(noteNumbers(await jobResults(store, job)).sort(), ['p1', 'p2', 'p3']);
+  });
+
+  it('serves only pages completed after `since`', async () => {
+    const { store, id } = await newJob(3);
+    await runJob(store, id, { provider: provider(), concurrency: 1 });
+    const job = await store.get(id);
+    const first = await jobResults(store, job, 0);
+    assert.equal(first.seq, 3);
+    assert.deepEqual(first.pages.map((page) => page.seq), [1, 2, 3]);
+    const later = await jobResults(store, job, 1);
+    assert.deepEqual(later.pages.map((page) => [page.pageIndex, page.seq]), [[2, 2], [3, 3]]);
+    assert.deepEqual((await jobResults(store, job, 3)).pages, []);
+  });
+
+  it('leaves pages for the next invocation when the time budget runs out', async () => {
+    const { store, id } = await newJob(2);
+    const slow = provider(async (meta) => {
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      return [{ datum: '', note_number: `p${meta.pageIndex}`, lines: [] }];
+    });
+    assert.deepEqual(await runJob(store, id, { provider: slow, concurrency: 1, budgetMs: 30 }), { claimed: true, remaining: true });
+    assert.equal((await store.get(id)).status, 'queued');
+    assert.deepEqual(await runJob(store, id, { provider: slow, concurrency: 1 }), { claimed: true, remaining: false });
+    assert.deepEqual(noteNumbers(await jobResults(store, await store.get(id))), ['p1', 'p2']);
+  });
+
+  it('retries transient provider errors and fails pages on other errors', async () => {
+    const { store, id } = await newJob(2);
+    const flaky = provider((meta, call) => {
+      if (meta.pageIndex === 1 && call === 1) throw Object.assign(new Error('overloaded'), { status: 503 });
+      if (meta.pageIndex === 2) throw Object.assign(new Error('bad request'), { status: 400 });
+      return [{ datum: '', note_number: 'p1', lines: [] }];
+    });
+    await runJob(store, id, { provider: flaky });
+    const job = await store.get(id);
+    assert.deepEqual(job.pages.map((page) => [page.status, page.error]), [['done', ''], ['failed', 'bad request']]);
+    assert.deepEqual(Object.fromEntries(flaky.calls), { '0:1': 2, '0:2': 1 });
+    assert.equal(job.status, 'done');
+  });
+
+  it('marks the job failed when no page could be read', async () => {
+    const { store, id } = await newJob(1);
+    await runJob(store, id, { provider: provider(() => { throw new Error('unreadable'); }) });
+    assert.equal((await store.get(id)).status, 'failed');
+  });
+
+  it('does not run a job whose lease is still held', async () => {
+    const { store, id } = await newJob(1);
+    await store.update(id, (job) => ({ ...job, status: 'running', lease: 'other', leaseUntil: Date.now() + 60_000 }));
+    assert.deepEqual(await runJob(store, id, { provider: provider() }), { claimed: false, remaining: false });
+  });
+
+  it('takes over an expired lease and redoes the pages its worker left running', async () => {
+    const { store, id } = await newJob(2);
+    await store.update(id, (job) => {
+      job.status = 'running';
+      job.lease = 'crashed';
+      job.leaseUntil = Date.now() - 1;
+      job.pages[0].status = 'running';
+      job.pages[0].attempts = 1;
+      return job;
+    });
+    assert.deepEqual(await runJob(store, id, { provider: provider() }), { claimed: true, remaining: false });
+    const job = await store.get(id);
+    assert.deepEqual(job.pages.map((page) => [page.status, page.attempts]), [['done', 2], ['done', 1]]);
+  });
+
+  it('drops the results of a worker whose lease was taken over', async () => {
+    const { store, id } = await newJob(1);
+    let release;
+    const blocked = new Promise((resolve) => {
+      release = resolve;
+    });
+    const stale = provider(async () => {
+      await blocked;
+      return [{ datum: '', note_number: 'stale', lines: [] }];
+    });
+    const running = runJob(store, id, { provider: stale });
+    while ((await store.get(id)).pages[0].status !== 'running') await new Promise((resolve) => setTimeout(resolve, 5));
+    // The lease expires and another worker claims the job and finishes the page.
+    await store.update(id, (job) => ({ ...job, leaseUntil: Date.now() - 1 }));
+    await runJob(store, id, { provider: provider(() => [{ datum: '', note_number: 'fresh', lines: [] }]) });
+    release();
+    assert.deepEqual(await running, { claimed: true, remaining: false });
+    const job = await store.get(id);
+    assert.equal(job.status, 'done');
+    assert.deepEqual(noteNumbers(await jobResults(store, job)), ['fresh']);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { createFileJobStore, createMemoryJobStore, createS3JobStore } from '../lib/jobs/store.js';
+
+// An in-memory stand-in for the S3 API calls the store makes, with the same conditional writes:
+// IfNoneMatch "*" fails when the key exists, IfMatch when its ETag changed. Writes take a random
+// few milliseconds so concurrent updates from two store instances interleave.
+function fakeS3() {
+  const objects = new Map();
+  let version = 0;
+  const fail = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+  return {
+    async send(command) {
+      const { Key, Body, IfMatch, IfNoneMatch } = command.input;
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * 4));
+      const object = objects.get(Key);
+      if (command.constructor.name === 'GetObjectCommand') {
+        if (!object) throw fail('NoSuchKey', 404);
+        return {
+          ETag: object.etag,
+          Body: {
+            transformToString: async () => object.body.toString('utf8'),
+            transformToByteArray: async () => new Uint8Array(object.body),
+          },
+        };
+      }
+      if (IfNoneMatch === '*' && object) throw fail('PreconditionFailed', 412);
+      if (IfMatch && object?.etag !== IfMatch) throw fail('PreconditionFailed', 412);
+      version += 1;
+      objects.set(Key, { body: Buffer.from(Body), etag: `"${version}"` });
+      return {};
+    },
+  };
+}
+
+const dirs = [];
+after(() => Promise.all(dirs.map((dir) => rm(dir, { recursive: true, force: true }))));
+
+const s3 = fakeS3();
+const stores = {
+  memory: () => {
+    const store = createMemoryJobStore();
+    return [store, store];
+  },
+  file: async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'cmr-jobs-test-'));
+    dirs.push(dir);
+    return [createFileJobStore({ dir }), createFileJobStore({ dir })];
+  },
+  // Two stores on one bucket, as two function instances would be.
+  s3: () => [createS3JobStore({ bucket: 'jobs', client: s3 }), createS3JobStore({ bucket: 'jobs', client: s3 })],
+};
+
+Object.entries(stores).forEach(([name, open]) => {
+  describe(`${name} job store`, () => {
+    it('keeps a job and its files', async () => {
+      const [store, other] = await open();
+      await store.create({ id: `${name}-1`, count: 0 });
+      await store.saveFile(`${name}-1`, '0.pdf', Buffer.from('%PDF-1.4'));
+      assert.deepEqual(await other.get(`${name}-1`), { id: `${name}-1`, count: 0 });
+      assert.equal((await other.readFile(`${name}-1`, '0.pdf')).toString(), '%PDF-1.4');
+      assert.equal(await other.readFile(`${name}-1`, '1.pdf'), null);
+      assert.equal(await other.get(`${name}-missing`), null);
+      assert.equal(await other.update(`${name}-missing`, (job) => job), null);
+    });
+
+    it('applies concurrent updates one after another', async () => {
+      const [store, other] = await open();
+      await store.create({ id: `${name}-2`, count: 0, log: [] });
+      // The file store serialises updates within one instance only, so it gets one.
+      const writers = name === 'file' ? [store] : [store, other];
+      await Promise.all(Array.from({ length: 12 }, (_, i) => writers[i % writers.length].update(`${name}-2`, (job) => {
+        job.count += 1;
+        job.log.push(i);
+        return job;
+      })));
+      const job = await other.get(`${name}-2`);
+      assert.equal(job.count, 12);
+      assert.deepEqual([...job.log].sort((a, b) => a - b), Array.from({ length: 12 }, (_, i) => i));
+    });
+  });
+});
+
+describe('s3 job store', () => {
+  it('refuses to create a job twice', async () => {
+    const [store] = stores.s3();
+    await store.create({ id: 'twice' });
+    await assert.rejects(store.create({ id: 'twice' }), (err) => err.$metadata.httpStatusCode === 412);
+  });
+});
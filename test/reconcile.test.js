@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseOrdersCsv, reconcile, reconciliationLines } from '../lib/reconcile.js';
+
+const order = (id, fields) => ({ id, datum: '01-10-2026', datum_iso: '2026-10-01', reference: '', ...fields });
+const row = (id, fields) => ({ id, fileName: 'a.pdf', pageIndex: 1, datum: '01-10-2026', datum_iso: '2026-10-01', note_number: '', cmr_number: '', ...fields });
+const summary = ({ results, unmatched }) => ({
+  results: results.map((r) => [r.order.id, r.status, r.delivered]),
+  unmatched: unmatched.map((r) => r.id),
+});
+
+describe('parseOrdersCsv', () => {
+  it('picks the delimiter that splits the header most and honours quotes', () => {
+    const { orders, skipped } = parseOrdersCsv('\uFEFFLeverdatum;Eenheid;Aantal;Referentie\n'
+      + '01-10-2026;E12;10;"DN;1"\n'
+      + '02-10-2026;m 20;2,5;"say ""hi"""\n');
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(orders.map(({ datum_iso, unit, quantity, reference }) => [datum_iso, unit, quantity, reference]), [
+      ['2026-10-01', 'E12', 10, 'DN;1'],
+      ['2026-10-02', 'M20', 2.5, 'say "hi"'],
+    ]);
+  });
+
+  it('reads tab-separated files and skips unusable lines by line number', () => {
+    const { orders, skipped } = parseOrdersCsv('date\tunit\tqty\r\n01-10-2026\tE12\t3\r\nsoon\tE12\t1\r\n01-10-2026\t\t1\r\n');
+    assert.deepEqual(orders.map((o) => o.id), ['o2']);
+    assert.deepEqual(skipped, [3, 4]);
+  });
+
+  it('rejects empty files and missing columns', () => {
+    assert.throws(() => parseOrdersCsv('\n'), /empty/);
+    assert.throws(() => parseOrdersCsv('date,reference\n01-10-2026,X'), /missing column\(s\) unit, quantity/);
+  });
+});
+
+describe('reconcile', () => {
+  it('matches by reference only when the unit matches too', () => {
+    const orders = [
+      order('e15', { reference: 'DN1', unit: 'E15', quantity: 10 }),
+      order('m20', { reference: 'DN1', unit: 'M20', quantity: 5 }),
+    ];
+    const rows = [row('r1', { note_number: 'DN-1', lines: [{ aantal: '10', unit: 'E15' }, { aantal: '5', unit: 'M20' }] })];
+    assert.deepEqual(summary(reconcile(orders, rows)), {
+      results: [['e15', 'matched', 10], ['m20', 'matched', 5]],
+      unmatched: [],
+    });
+  });
+
+  it('falls back to date and unit when the reference matches another unit', () => {
+    const orders = [
+      order('ref', { reference: 'DN1', unit: 'E15', quantity: 10 }),
+      order('day', { unit: 'M20', quantity: 4 }),
+    ];
+    const rows = [row('r1', { note_number: 'DN1', aantal: '4', unit: 'M20' })];
+    assert.deepEqual(summary(reconcile(orders, rows)).results, [['ref', 'missing', 0], ['day', 'matched', 4]]);
+  });
+
+  it('lists a line as unexpected when neither reference nor date and unit match', () => {
+    const orders = [order('ref', { reference: 'DN1', unit: 'E15', quantity: 10 })];
+    const rows = [row('r1', { note_number: 'DN1', aantal: '4', unit: 'M20' })];
+    assert.deepEqual(summary(reconcile(orders, rows)), { results: [['ref', 'missing', 0]], unmatched: ['r1'] });
+  });
+
+  it('fills the date and unit order with the most left to deliver', () => {
+    const orders = [order('small', { unit: 'E12', quantity: 3 }), order('large', { unit: 'E12', quantity: 8 })];
+    const rows = [
+      row('r1', { aantal: '6', unit: 'E12' }),
+      row('r2', { aantal: '3', unit: 'E12' }),
+      row('r3', { aantal: '2', unit: 'E12' }),
+    ];
+    assert.deepEqual(summary(reconcile(orders, rows)).results, [['small', 'matched', 3], ['large', 'matched', 8]]);
+  });
+
+  it('leaves rejected rows out', () => {
+    const orders = [order('o', { unit: 'E12', quantity: 5 })];
+    const rows = [row('r1', { aantal: '5', unit: 'E12', review: { status: 'rejected' } })];
+    assert.deepEqual(summary(reconcile(orders, rows)), { results: [['o', 'missing', 0]], unmatched: [] });
+  });
+});
+
+describe('reconciliationLines', () => {
+  it('sorts the worst problems first and reports differences', () => {
+    const orders = [
+      order('ok', { reference: 'DN1', unit: 'E12', quantity: 2 }),
+      order('short', { reference: 'DN2', unit: 'E12', quantity: 5 }),
+    ];
+    const rows = [
+      row('r1', { note_number: 'DN1', aantal: '2', unit: 'E12' }),
+      row('r2', { note_number: 'DN2', aantal: '4', unit: 'E12' }),
+      row('r3', { note_number: 'DN3', aantal: '1', unit: 'E15', pageIndex: 2 }),
+    ];
+    const lines = reconciliationLines(reconcile(orders, rows));
+    assert.deepEqual(lines.map((l) => [l.status, l.reference, l.difference, l.sources]), [
+      ['short', 'DN2', -1, 'DN2 (a.pdf p1)'],
+      ['unexpected', 'DN3', 1, 'DN3 (a.pdf p2)'],
+      ['matched', 'DN1', 0, 'DN1 (a.pdf p1)'],
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findContinuation, joinNotes, stitchParts } from '../lib/stitch.js';
+
+const part = (fileName, pageIndex, note, noteIndex = 0) => ({ note, fileName, sources: [{ fileName, pageIndex, noteIndex }] });
+const pages = (p) => p.sources.map((s) => s.pageIndex);
+const units = (p) => p.note.lines.map((line) => line.unit);
+
+describe('findContinuation', () => {
+  it('pairs the last continuing note with the first continued note on the next page', () => {
+    const head = part('a.pdf', 1, { continues_on_next: true }, 1);
+    const tail = part('a.pdf', 2, { continued_from_previous: true }, 0);
+    const parts = [
+      tail,
+      part('a.pdf', 2, { continued_from_previous: true }, 1),
+      part('a.pdf', 1, { continues_on_next: true }, 0),
+      head,
+    ];
+    assert.deepEqual(findContinuation(parts), [head, tail]);
+  });
+
+  it('returns null when a continuing note has no following page', () => {
+    assert.equal(findContinuation([part('a.pdf', 1, { continues_on_next: true }), part('a.pdf', 3, { continued_from_previous: true })]), null);
+  });
+
+  it('does not join pages of different files with the same page numbers', () => {
+    assert.equal(findContinuation([part('a.pdf', 1, { continues_on_next: true }), part('b.pdf', 2, { continued_from_previous: true })]), null);
+  });
+});
+
+describe('joinNotes', () => {
+  it('appends lines, fills empty fields and warns about conflicting header fields', () => {
+    const joined = joinNotes(
+      { note_number: 'DN1', datum: '01-10-2026', sender: '', lines: [{ aantal: '1', unit: 'E12' }], confidence: 0.9, continues_on_next: true },
+      { note_number: 'DN7', datum: '', sender: 'ACME', lines: [{ aantal: '2', unit: 'M20' }], confidence: 0.6, continued_from_previous: true },
+    );
+    assert.deepEqual(joined.lines, [{ aantal: '1', unit: 'E12' }, { aantal: '2', unit: 'M20' }]);
+    assert.equal(joined.note_number, 'DN1');
+    assert.equal(joined.sender, 'ACME');
+    assert.equal(joined.confidence, 0.6);
+    assert.deepEqual(joined.warnings, ['note_number on the next page reads "DN7", kept "DN1".']);
+    assert.equal(joined.continues_on_next, false);
+    assert.equal(joined.continued_from_previous, false);
+  });
+
+  it('counts a note from before line items as one line when it has a quantity', () => {
+    assert.deepEqual(joinNotes({ aantal: '3', unit: 'E15' }, { lines: [{ aantal: '1', unit: 'E10' }] }).lines, [
+      { aantal: '3', unit: 'E15' },
+      { aantal: '1', unit: 'E10' },
+    ]);
+    assert.deepEqual(joinNotes({ aantal: '', unit: '' }, { lines: [{ aantal: '1', unit: 'E10' }] }).lines, [{ aantal: '1', unit: 'E10' }]);
+  });
+});
+
+describe('stitchParts', () => {
+  it('joins pages that arrived out of order', () => {
+    const stitched = stitchParts([
+      part('a.pdf', 2, { continued_from_previous: true, lines: [{ aantal: '2', unit: 'M20' }] }),
+      part('a.pdf', 1, { note_number: 'DN1', continues_on_next: true, lines: [{ aantal: '1', unit: 'E12' }] }),
+    ]);
+    assert.equal(stitched.length, 1);
+    assert.deepEqual(pages(stitched[0]), [1, 2]);
+    assert.deepEqual(units(stitched[0]), ['E12', 'M20']);
+  });
+
+  it('chains a note across three pages and keeps other notes in place', () => {
+    const other = part('a.pdf', 3, { note_number: 'DN2', lines: [{ aantal: '4', unit: 'E10' }] }, 1);
+    const stitched = stitchParts([
+      part('a.pdf', 3, { continued_from_previous: true, lines: [{ aantal: '3', unit: 'E15' }] }),
+      part('a.pdf', 1, { note_number: 'DN1', continues_on_next: true, lines: [{ aantal: '1', unit: 'E12' }] }),
+      other,
+      part('a.pdf', 2, { continued_from_previous: true, continues_on_next: true, lines: [{ aantal: '2', unit: 'M20' }] }),
+    ]);
+    assert.equal(stitched.length, 2);
+    const [joined] = stitched;
+    assert.deepEqual(pages(joined), [1, 2, 3]);
+    assert.deepEqual(units(joined), ['E12', 'M20', 'E15']);
+    assert.equal(joined.note.continues_on_next, false);
+    assert.equal(stitched[1], other);
+  });
+
+  it('leaves a continuing note without a following page on its own', () => {
+    const lone = part('a.pdf', 4, { note_number: 'DN9', continues_on_next: true });
+    assert.deepEqual(stitchParts([lone]), [lone]);
+  });
+});
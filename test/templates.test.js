@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyTemplate, getTemplate, resolveTemplates, templates } from '../lib/templates.js';
+
+const note = (fields) => ({ datum: '12-03-2024', lines: [{ aantal: '1', unit: 'E12' }], ...fields });
+
+describe('resolveTemplates', () => {
+  it('offers every template for auto and one for an explicit id', () => {
+    assert.equal(resolveTemplates('auto'), templates);
+    assert.equal(resolveTemplates(), templates);
+    assert.deepEqual(resolveTemplates('lieferschein'), [getTemplate('lieferschein')]);
+    assert.throws(() => resolveTemplates('invoice'), (err) => err.statusCode === 400 && /Unknown template "invoice"/.test(err.message));
+  });
+});
+
+describe('applyTemplate', () => {
+  it('keeps the template the model detected among the candidates', () => {
+    assert.equal(applyTemplate(note({ template: 'afleverbon' }), templates).template, 'afleverbon');
+    assert.equal(applyTemplate(note({ template: 'lieferschein' }), templates).template, 'lieferschein');
+  });
+
+  it('leaves the template empty when auto-detection did not settle on a candidate', () => {
+    const unknown = applyTemplate(note({ template: 'invoice', datum: '12.03.2024' }), templates);
+    assert.equal(unknown.template, '');
+    assert.equal(unknown.datum, '12.03.2024');
+    assert.equal(applyTemplate(note({}), templates).template, '');
+    assert.equal(applyTemplate(note({ template: 'lieferschein' }), resolveTemplates('afleverbon')).template, 'afleverbon');
+  });
+
+  it('rewrites dates in the template notation to DD-MM-YYYY', () => {
+    const read = (template, datum) => applyTemplate(note({ template, datum }), templates).datum;
+    assert.equal(read('lieferschein', '12.03.2024'), '12-03-2024');
+    assert.equal(read('lieferschein', '1.3.2024'), '01-03-2024');
+    assert.equal(read('lieferschein', '12-03-2024'), '12-03-2024');
+    assert.equal(read('afleverbon', '12.03.2024'), '12.03.2024');
+    assert.equal(read('afleverbon', '12-03-2024'), '12-03-2024');
+    assert.equal(read('lieferschein', ''), '');
+  });
+
+  it('normalises units and warns about ones outside the template format', () => {
+    const single = applyTemplate(note({ template: 'afleverbon', lines: [{ aantal: '1', unit: 'e 12' }] }), templates);
+    assert.deepEqual(single.lines.map((line) => line.unit), ['E12']);
+    assert.equal(single.template_warnings, undefined);
+    const lines = applyTemplate(note({ template: 'afleverbon', lines: [{ aantal: '1', unit: 'E12' }, { aantal: '2', unit: 'EURO' }] }), templates);
+    assert.deepEqual(lines.template_warnings, ['Line 2: unit "EURO" does not match the Afleverbon (NL) unit format.']);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { describe, it } from 'node:test';
+import { isPdf, parseUploads, sniffImageType } from '../lib/uploads.js';
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+
+// A request streaming `form` as multipart/form-data, the way the platform hands it to a function.
+async function multipart(form) {
+  const response = new Response(form);
+  const req = Readable.from([Buffer.from(await response.arrayBuffer())]);
+  req.headers = { 'content-type': response.headers.get('content-type') };
+  return req;
+}
+
+function form(files, fields = {}) {
+  const data = new FormData();
+  files.forEach(([name, buffer]) => data.append('file', new Blob([buffer]), name));
+  Object.entries(fields).forEach(([name, value]) => data.append(name, value));
+  return data;
+}
+
+describe('sniffImageType', () => {
+  it('reads the type from the magic bytes', () => {
+    assert.equal(sniffImageType(png), 'image/png');
+    assert.equal(sniffImageType(jpeg), 'image/jpeg');
+    assert.equal(sniffImageType(webp), 'image/webp');
+  });
+
+  it('rejects anything else, whatever it is called', () => {
+    assert.equal(sniffImageType(Buffer.from('%PDF-1.4')), null);
+    assert.equal(sniffImageType(Buffer.from('GIF89a')), null);
+    assert.equal(sniffImageType(png.subarray(0, 7)), null);
+    assert.equal(sniffImageType(Buffer.alloc(0)), null);
+  });
+
+  it('tells PDFs apart', () => {
+    assert.equal(isPdf(Buffer.from('%PDF-1.7\n')), true);
+    assert.equal(isPdf(png), false);
+  });
+});
+
+describe('parseUploads', () => {
+  it('returns files and fields', async () => {
+    const { files, fields } = await parseUploads(await multipart(form([['page.png', png]], { meta: '{}' })), { fileSize: 100, files: 1 });
+    assert.deepEqual(files.map((f) => [f.fieldName, f.fileName, f.buffer.equals(png)]), [['file', 'page.png', true]]);
+    assert.deepEqual(fields, { meta: '{}' });
+  });
+
+  it('rejects files over the size limit with 413', async () => {
+    await assert.rejects(
+      parseUploads(await multipart(form([['big.png', Buffer.alloc(2048)]])), { fileSize: 1024, files: 1 }),
+      (err) => err.statusCode === 413 && /big\.png is larger than 1 KB/.test(err.message),
+    );
+  });
+
+  it('rejects too many files and oversized fields with 400', async () => {
+    await assert.rejects(
+      parseUploads(await multipart(form([['a.png', png], ['b.png', png]])), { fileSize: 100, files: 1 }),
+      (err) => err.statusCode === 400 && /At most 1 file/.test(err.message),
+    );
+    await assert.rejects(
+      parseUploads(await multipart(form([], { meta: 'x'.repeat(40) })), { fileSize: 100, files: 1, fieldSize: 16 }),
+      (err) => err.statusCode === 400 && /"meta" is too long/.test(err.message),
+    );
+  });
+});
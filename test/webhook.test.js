@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { deliverWebhook, signPayload, verifySignature } from '../lib/webhook.js';
+
+const secret = 'shared secret';
+const now = Date.UTC(2026, 9, 1, 12);
+const timestamp = String(now / 1000);
+
+// A fetch that answers with the given statuses in turn; `null` stands for a network error.
+function fakeFetch(statuses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const status = statuses[calls.length - 1];
+    if (status === null) throw new TypeError('fetch failed');
+    return { ok: status < 300, status, statusText: '', text: async () => `answer ${status}` };
+  };
+  return { calls, fetchImpl };
+}
+
+const delivery = { url: 'https://erp.example/hook', secret, deliveryId: 'd-1', payload: { rows: [1, 2] } };
+
+describe('signatures', () => {
+  it('verifies what it signed', () => {
+    const body = '{"rows":[1,2]}';
+    const signature = signPayload(body, secret, timestamp);
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(body, secret, { timestamp, signature }, now), true);
+  });
+
+  it('rejects a tampered body, timestamp or secret', () => {
+    const body = '{"rows":[1,2]}';
+    const signature = signPayload(body, secret, timestamp);
+    assert.equal(verifySignature('{"rows":[1,3]}', secret, { timestamp, signature }, now), false);
+    assert.equal(verifySignature(body, secret, { timestamp: String(Number(timestamp) + 1), signature }, now), false);
+    assert.equal(verifySignature(body, 'other secret', { timestamp, signature }, now), false);
+    assert.equal(verifySignature(body, secret, { timestamp, signature: '' }, now), false);
+  });
+
+  it('rejects signatures older than five minutes', () => {
+    const body = '{}';
+    const signature = signPayload(body, secret, timestamp);
+    assert.equal(verifySignature(body, secret, { timestamp, signature }, now + 299_000), true);
+    assert.equal(verifySignature(body, secret, { timestamp, signature }, now + 301_000), false);
+  });
+});
+
+describe('deliverWebhook', () => {
+  it('signs the request with the delivery id', async () => {
+    const { calls, fetchImpl } = fakeFetch([200]);
+    const result = await deliverWebhook(delivery, { fetchImpl, delays: [] });
+    assert.equal(result.delivered, true);
+    const { headers, body } = calls[0].init;
+    assert.equal(headers['X-CMR-Delivery'], 'd-1');
+    assert.equal(body, JSON.stringify(delivery.payload));
+    const signed = { timestamp: headers['X-CMR-Timestamp'], signature: headers['X-CMR-Signature'] };
+    assert.equal(verifySignature(body, secret, signed), true);
+  });
+
+  it('retries 5xx, 429 and network errors until the receiver accepts', async () => {
+    const { calls, fetchImpl } = fakeFetch([503, null, 429, 200]);
+    const result = await deliverWebhook(delivery, { fetchImpl, delays: [0, 0, 0] });
+    assert.equal(calls.length, 4);
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.attempts.map((a) => [a.status, a.error]), [
+      [503, 'answer 503'],
+      [0, 'fetch failed'],
+      [429, 'answer 429'],
+      [200, ''],
+    ]);
+  });
+
+  it('does not retry other 4xx answers', async () => {
+    const { calls, fetchImpl } = fakeFetch([400, 200]);
+    const result = await deliverWebhook(delivery, { fetchImpl, delays: [0, 0] });
+    assert.equal(calls.length, 1);
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts[0].error, 'answer 400');
+  });
+
+  it('gives up after the last delay', async () => {
+    const { calls, fetchImpl } = fakeFetch([500, 502, 503, 200]);
+    const result = await deliverWebhook(delivery, { fetchImpl, delays: [0, 0] });
+    assert.equal(calls.length, 3);
+    assert.equal(result.delivered, false);
+    assert.deepEqual(result.attempts.map((a) => a.status), [500, 502, 503]);
+  });
+});